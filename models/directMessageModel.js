@@ -0,0 +1,63 @@
+/************************************
+ * models/directMessageModel.js
+ ************************************/
+const { getStorage } = require("./storage");
+
+const PENDING = "pendingDirectMessages";
+const BLOCKS = "blocks";
+
+/** Undelivered messages kept per offline recipient */
+const MAX_PENDING_PER_USER = 100;
+
+/**
+ * Hold a message for an offline recipient until they connect.
+ * Returns false if their queue is already full.
+ */
+function queueDirectMessage(message) {
+  const storage = getStorage();
+  const pending = storage.find(PENDING, (m) => m.toUserId === message.toUserId);
+  if (pending.length >= MAX_PENDING_PER_USER) return false;
+
+  storage.insert(PENDING, message);
+  return true;
+}
+
+/**
+ * Remove and return every message waiting for `userId`, oldest first.
+ */
+function takePendingDirectMessages(userId) {
+  const storage = getStorage();
+  const pending = storage.find(PENDING, (m) => m.toUserId === userId);
+  if (pending.length > 0) {
+    storage.remove(PENDING, (m) => m.toUserId === userId);
+  }
+  return pending.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * `userId` blocks (or unblocks) direct messages from `blockedUserId`.
+ */
+function setBlocked(userId, blockedUserId, blocked) {
+  const storage = getStorage();
+  const matches = (b) =>
+    b.userId === userId && b.blockedUserId === blockedUserId;
+  if (!blocked) {
+    storage.remove(BLOCKS, matches);
+  } else if (!storage.findOne(BLOCKS, matches)) {
+    storage.insert(BLOCKS, { userId, blockedUserId, createdAt: Date.now() });
+  }
+}
+
+function isBlocked(userId, blockedUserId) {
+  return !!getStorage().findOne(
+    BLOCKS,
+    (b) => b.userId === userId && b.blockedUserId === blockedUserId
+  );
+}
+
+module.exports = {
+  queueDirectMessage,
+  takePendingDirectMessages,
+  setBlocked,
+  isBlocked,
+};
@@ -0,0 +1,99 @@
+/************************************
+ * models/fileStorage.js
+ ************************************/
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * A small JSON-file store. Every collection is an array of records kept
+ * in memory; changes are written back to `filePath` in the background
+ * (one write at a time, via a temp file so a crash never leaves half a
+ * file behind).
+ *
+ * Implements the storage interface used by the models:
+ *   insert(collection, record) -> record
+ *   find(collection, predicate) -> records
+ *   findOne(collection, predicate) -> record | null
+ *   update(collection, predicate, changes) -> updated count
+ *   remove(collection, predicate) -> removed count
+ *   flush() -> Promise, resolves once everything is on disk
+ */
+function createFileStorage(filePath) {
+  let data = load(filePath);
+  let writing = null;
+  let dirty = false;
+
+  function collection(name) {
+    if (!data[name]) data[name] = [];
+    return data[name];
+  }
+
+  function scheduleWrite() {
+    dirty = true;
+    if (!writing) writing = write();
+  }
+
+  async function write() {
+    while (dirty) {
+      dirty = false;
+      const tmpPath = `${filePath}.tmp`;
+      try {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+        await fs.promises.rename(tmpPath, filePath);
+      } catch (err) {
+        console.log(`[Server] fileStorage -> write failed: ${err.message}`);
+      }
+    }
+    writing = null;
+  }
+
+  return {
+    insert(name, record) {
+      collection(name).push(record);
+      scheduleWrite();
+      return record;
+    },
+    find(name, predicate = () => true) {
+      return collection(name).filter(predicate);
+    },
+    findOne(name, predicate) {
+      return collection(name).find(predicate) || null;
+    },
+    update(name, predicate, changes) {
+      const matches = collection(name).filter(predicate);
+      matches.forEach((record) => Object.assign(record, changes));
+      if (matches.length > 0) scheduleWrite();
+      return matches.length;
+    },
+    remove(name, predicate) {
+      const records = collection(name);
+      const kept = records.filter((record) => !predicate(record));
+      const removed = records.length - kept.length;
+      if (removed > 0) {
+        data[name] = kept;
+        scheduleWrite();
+      }
+      return removed;
+    },
+    flush() {
+      return writing || Promise.resolve();
+    },
+  };
+}
+
+/**
+ * Read the store from disk; a missing or unreadable file starts empty.
+ */
+function load(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.log(`[Server] fileStorage -> could not read ${filePath}`);
+    }
+    return {};
+  }
+}
+
+module.exports = { createFileStorage };
@@ -0,0 +1,145 @@
+/************************************
+ * models/matchModel.js
+ ************************************/
+const crypto = require("crypto");
+const { getStorage } = require("./storage");
+const { touchUser } = require("./userModel");
+
+const MATCHES = "matches";
+
+/** Elo-style rating parameters */
+const DEFAULT_RATING = 1000;
+const ELO_K = 32;
+
+/**
+ * Store a finished match.
+ *
+ * @param {Object} match
+ * @param {number} match.gameId
+ * @param {string} match.roomId
+ * @param {Array} match.players - [{ userId, userName, score? }]
+ * @param {Array} [match.roster] - Everyone who started the match; those
+ *   no longer in `players` are recorded with `left: true`, as losers.
+ * @param {string|null} match.winner - The winner's userName, if any.
+ * @param {string|null} match.winnerId - The winner's userId, if any.
+ * @param {number} match.startedAt - ms timestamp
+ * @param {number} [match.endedAt] - ms timestamp, defaults to now
+ */
+function recordMatch({
+  gameId,
+  roomId,
+  players,
+  roster = [],
+  winner,
+  winnerId,
+  startedAt,
+  endedAt,
+}) {
+  const end = endedAt || Date.now();
+  const start = startedAt || end;
+  const leavers = roster
+    .filter((r) => !players.some((p) => p.userId === r.userId))
+    .map(({ userId, userName }) => ({ userId, userName, left: true }));
+  players = [...players, ...leavers];
+  const record = {
+    id: crypto.randomBytes(8).toString("hex"),
+    gameId: Number(gameId),
+    roomId,
+    players,
+    winner: winner || null,
+    winnerId: winnerId || null,
+    startedAt: start,
+    endedAt: end,
+    durationMs: end - start,
+  };
+
+  getStorage().insert(MATCHES, record);
+  players.forEach((p) => p.userId && touchUser(p.userId));
+  console.log(
+    `[Server] recordMatch -> gameId=${record.gameId}, winner=${
+      record.winner || "None"
+    }, ${players.length} players`
+  );
+  return record;
+}
+
+/**
+ * Matches, newest first, optionally for one game and/or any of the given
+ * user ids. Names aren't unique, so players are only ever matched by id.
+ */
+function findMatches({ gameId, userIds } = {}) {
+  return getStorage()
+    .find(
+      MATCHES,
+      (m) =>
+        (gameId === undefined || m.gameId === Number(gameId)) &&
+        (userIds === undefined ||
+          m.players.some((p) => userIds.includes(p.userId)))
+    )
+    .sort((a, b) => b.endedAt - a.endedAt);
+}
+
+/**
+ * Per-player wins, losses and Elo-style rating for one game, best rated
+ * first. Ratings are replayed from the match history, oldest first: the
+ * winner of a match beats every other player in it, with the K-factor
+ * split across those pairings. Matches without a winner count as played
+ * but don't move ratings.
+ */
+function getLeaderboard(gameId) {
+  // Keyed by userId; records from before user ids fall back to the name
+  const keyOf = (userId, userName) => userId || userName;
+  const stats = new Map();
+  const entryFor = ({ userId, userName }) => {
+    const key = keyOf(userId, userName);
+    if (!stats.has(key)) {
+      stats.set(key, {
+        userId: userId || null,
+        userName,
+        rating: DEFAULT_RATING,
+        wins: 0,
+        losses: 0,
+        played: 0,
+      });
+    }
+    const entry = stats.get(key);
+    entry.userName = userName;
+    return entry;
+  };
+
+  findMatches({ gameId })
+    .reverse()
+    .forEach((match) => {
+      const winnerKey = match.winner && keyOf(match.winnerId, match.winner);
+      let winner = null;
+      const losers = [];
+      match.players.forEach((p) => {
+        const entry = entryFor(p);
+        entry.played++;
+        if (!winnerKey) return;
+        if (keyOf(p.userId, p.userName) === winnerKey) {
+          entry.wins++;
+          winner = entry;
+        } else {
+          entry.losses++;
+          losers.push(entry);
+        }
+      });
+      if (!winner || losers.length === 0) return;
+
+      const k = ELO_K / losers.length;
+      const winnerRating = winner.rating;
+      losers.forEach((loser) => {
+        const expected = 1 / (1 + 10 ** ((loser.rating - winnerRating) / 400));
+        const change = k * (1 - expected);
+        winner.rating += change;
+        loser.rating -= change;
+      });
+    });
+
+  return Array.from(stats.values())
+    .map((entry) => ({ ...entry, rating: Math.round(entry.rating) }))
+    .sort((a, b) => b.rating - a.rating || b.wins - a.wins);
+}
+
+module.exports = { recordMatch, findMatches, getLeaderboard };
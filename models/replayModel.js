@@ -0,0 +1,51 @@
+/************************************
+ * models/replayModel.js
+ ************************************/
+const fs = require("fs");
+const path = require("path");
+
+/** Replays are stored one JSON file per match (override with REPLAY_DIR) */
+const REPLAY_DIR =
+  process.env.REPLAY_DIR || path.join(__dirname, "..", "data", "replays");
+
+/** Replay ids are match ids: lowercase hex */
+const REPLAY_ID_PATTERN = /^[0-9a-f]{1,32}$/;
+
+function replayPath(replayId) {
+  return path.join(REPLAY_DIR, `${replayId}.json`);
+}
+
+/**
+ * Write a replay to disk. Failures are logged, never thrown: a missing
+ * replay shouldn't take the server down.
+ */
+async function saveReplay(replay) {
+  try {
+    await fs.promises.mkdir(REPLAY_DIR, { recursive: true });
+    await fs.promises.writeFile(replayPath(replay.id), JSON.stringify(replay));
+    console.log(
+      `[Server] saveReplay -> ${replay.id} (${replay.timeline.length} entries)`
+    );
+  } catch (err) {
+    console.log(`[Server] saveReplay -> ${replay.id} failed: ${err.message}`);
+  }
+}
+
+/**
+ * Resolves to the replay, or null if there's no such replay.
+ */
+async function loadReplay(replayId) {
+  if (typeof replayId !== "string" || !REPLAY_ID_PATTERN.test(replayId)) {
+    return null;
+  }
+  try {
+    return JSON.parse(await fs.promises.readFile(replayPath(replayId), "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.log(`[Server] loadReplay -> ${replayId} failed: ${err.message}`);
+    }
+    return null;
+  }
+}
+
+module.exports = { REPLAY_ID_PATTERN, saveReplay, loadReplay };
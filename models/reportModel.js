@@ -0,0 +1,41 @@
+/************************************
+ * models/reportModel.js
+ ************************************/
+const crypto = require("crypto");
+const { getStorage } = require("./storage");
+
+const REPORTS = "reports";
+
+/**
+ * Record a report against a chat message. The message is copied into
+ * the report, since chat history doesn't last. Returns null if this
+ * user already reported this message.
+ */
+function createReport({ message, reporterId, reason }) {
+  const storage = getStorage();
+  const existing = storage.findOne(
+    REPORTS,
+    (r) => r.message.id === message.id && r.reporterId === reporterId
+  );
+  if (existing) return null;
+
+  return storage.insert(REPORTS, {
+    id: crypto.randomBytes(8).toString("hex"),
+    message,
+    reporterId,
+    reason: reason || null,
+    status: "open",
+    createdAt: Date.now(),
+  });
+}
+
+/**
+ * Reports, newest first, optionally only those with `status`.
+ */
+function findReports({ status } = {}) {
+  return getStorage()
+    .find(REPORTS, (r) => status === undefined || r.status === status)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+module.exports = { createReport, findReports };
@@ -0,0 +1,29 @@
+/************************************
+ * models/storage.js
+ ************************************/
+const path = require("path");
+const { createFileStorage } = require("./fileStorage");
+
+/** Where the default file store lives (override with DATA_FILE) */
+const DATA_FILE =
+  process.env.DATA_FILE || path.join(__dirname, "..", "data", "store.json");
+
+let storage = null;
+
+/**
+ * The storage backend the models read and write through. Defaults to
+ * the JSON file store; anything implementing the same interface (see
+ * models/fileStorage.js) can be swapped in with setStorage().
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createFileStorage(DATA_FILE);
+  }
+  return storage;
+}
+
+function setStorage(backend) {
+  storage = backend;
+}
+
+module.exports = { getStorage, setStorage };
@@ -0,0 +1,43 @@
+/************************************
+ * models/userModel.js
+ ************************************/
+const crypto = require("crypto");
+const { getStorage } = require("./storage");
+
+const USERS = "users";
+
+/**
+ * Create a guest account: a fresh, stable user id for `userName`.
+ */
+function createGuestUser(userName) {
+  const now = Date.now();
+  return getStorage().insert(USERS, {
+    userId: `guest-${crypto.randomBytes(8).toString("hex")}`,
+    userName,
+    guest: true,
+    firstSeenAt: now,
+    lastSeenAt: now,
+  });
+}
+
+/**
+ * Record that the user was seen now.
+ */
+function touchUser(userId) {
+  getStorage().update(USERS, (u) => u.userId === userId, {
+    lastSeenAt: Date.now(),
+  });
+}
+
+function getUser(userId) {
+  return getStorage().findOne(USERS, (u) => u.userId === userId);
+}
+
+/**
+ * Every user who goes by `userName` (guest names aren't unique).
+ */
+function findUsersByName(userName) {
+  return getStorage().find(USERS, (u) => u.userName === userName);
+}
+
+module.exports = { createGuestUser, touchUser, getUser, findUsersByName };
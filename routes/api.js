@@ -0,0 +1,223 @@
+// routes/api.js
+const express = require("express");
+const { listGames, getGameModule } = require("../utils/gameRegistry");
+const { serializeRoom } = require("../utils/gameUtils");
+const { findMatches, getLeaderboard } = require("../models/matchModel");
+const { findReports } = require("../models/reportModel");
+const { getUser, findUsersByName } = require("../models/userModel");
+const { loadReplay } = require("../models/replayModel");
+const { CHAT_SCOPES, chatChannelKey } = require("../utils/chatUtils");
+const { setRoomMute } = require("../utils/moderationUtils");
+const {
+  GAME_ID,
+  ROOM_ID,
+  validatePayload,
+} = require("../utils/validationUtils");
+const authRoutes = require("./auth");
+
+/** Bearer token for the admin endpoints; they're disabled without it */
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+/** Body of POST /admin/mutes */
+const ADMIN_MUTE_SCHEMA = {
+  type: "object",
+  fields: {
+    userId: { type: "string", minLength: 1, maxLength: 64 },
+    muted: { type: "boolean" },
+    scope: { type: "string", enum: CHAT_SCOPES, optional: true },
+    gameId: { ...GAME_ID, optional: true },
+    roomId: { ...ROOM_ID, optional: true },
+  },
+};
+
+/** Page size limits for list endpoints (?limit=&offset=) */
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Slice `items` by the request's limit/offset query parameters.
+ */
+function paginate(items, query) {
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  return {
+    total: items.length,
+    limit,
+    offset,
+    items: items.slice(offset, offset + limit),
+  };
+}
+
+/**
+ * Whether the request carries `Authorization: Bearer <ADMIN_TOKEN>`.
+ */
+function isAdmin(req) {
+  return !!ADMIN_TOKEN && req.get("authorization") === `Bearer ${ADMIN_TOKEN}`;
+}
+
+/**
+ * Finished matches of any of `userIds`, newest first (optionally
+ * ?gameId=). Each is tagged with the user who played it and their
+ * result, judged by user id since names aren't unique.
+ */
+function matchHistory(userIds, query) {
+  let gameId;
+  if (query.gameId !== undefined) {
+    const gameModule = getGameModule(query.gameId);
+    if (!gameModule) return { error: "Unknown game." };
+    gameId = gameModule.id;
+  }
+
+  const matches = findMatches({ gameId, userIds }).map((match) => {
+    const { userId } = match.players.find((p) => userIds.includes(p.userId));
+    const result = !match.winnerId
+      ? "draw"
+      : match.winnerId === userId
+      ? "win"
+      : "loss";
+    return { ...match, userId, result };
+  });
+  return { matches };
+}
+
+/**
+ * JSON endpoints for the web front page. `lobby` is what
+ * sockets/index.js returns: { games, getOnlineUsers() }.
+ */
+module.exports = (io, lobby) => {
+  const router = express.Router();
+
+  router.use("/auth", authRoutes);
+
+  // Registered games
+  router.get("/games", (req, res) => {
+    res.json(
+      listGames().map((game) => ({
+        id: game.id,
+        name: game.name,
+        minPlayers: game.minPlayers,
+        maxPlayers: game.maxPlayers,
+        options: game.options,
+      }))
+    );
+  });
+
+  // Lobby and active rooms for one game
+  router.get("/games/:id/rooms", (req, res) => {
+    const gameModule = getGameModule(req.params.id);
+    if (!gameModule) {
+      res.status(404).json({ error: "Unknown game." });
+      return;
+    }
+
+    const game = lobby.games[gameModule.id] || { rooms: {}, activeRooms: {} };
+    const toJson = (room) => ({
+      ...serializeRoom(room),
+      playerCount: room.players.length,
+    });
+    res.json({
+      gameId: gameModule.id,
+      lobby: Object.values(game.rooms).map(toJson),
+      active: Object.values(game.activeRooms).map(toJson),
+    });
+  });
+
+  // Users who have picked a name and are connected
+  router.get("/users/online", (req, res) => {
+    const users = lobby.getOnlineUsers();
+    res.json({ count: users.length, users });
+  });
+
+  // Ratings and win/loss records for one game
+  router.get("/leaderboard", (req, res) => {
+    const gameModule = getGameModule(req.query.gameId);
+    if (!gameModule) {
+      res.status(400).json({ error: "A valid gameId is required." });
+      return;
+    }
+    res.json({
+      gameId: gameModule.id,
+      ...paginate(getLeaderboard(gameModule.id), req.query),
+    });
+  });
+
+  // A user's finished matches, newest first (optionally ?gameId=)
+  router.get("/users/:userId/history", (req, res) => {
+    const { userId } = req.params;
+    if (!getUser(userId)) {
+      res.status(404).json({ error: "User not found." });
+      return;
+    }
+    const { matches, error } = matchHistory([userId], req.query);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+    res.json({ userId, ...paginate(matches, req.query) });
+  });
+
+  // The same for every user going by a name; each match says which
+  // `userId` played it
+  router.get("/players/:name/history", (req, res) => {
+    const userName = req.params.name;
+    const userIds = findUsersByName(userName).map((u) => u.userId);
+    const { matches, error } = matchHistory(userIds, req.query);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+    res.json({ userName, userIds, ...paginate(matches, req.query) });
+  });
+
+  // The recorded timeline of a finished match (replay ids are match ids)
+  router.get("/replays/:id", async (req, res) => {
+    const replay = await loadReplay(req.params.id);
+    if (!replay) {
+      res.status(404).json({ error: "Replay not found." });
+      return;
+    }
+    res.json(replay);
+  });
+
+  // Chat reports for moderators (Authorization: Bearer <ADMIN_TOKEN>)
+  router.get("/admin/reports", (req, res) => {
+    if (!isAdmin(req)) {
+      res.status(403).json({ error: "Forbidden." });
+      return;
+    }
+    res.json(paginate(findReports({ status: req.query.status }), req.query));
+  });
+
+  // Mute (or unmute) a user in any chat channel: global by default, or a
+  // game lobby or room given scope/gameId/roomId
+  router.post("/admin/mutes", (req, res) => {
+    if (!isAdmin(req)) {
+      res.status(403).json({ error: "Forbidden." });
+      return;
+    }
+    const { value, error } = validatePayload(
+      ADMIN_MUTE_SCHEMA,
+      req.body,
+      "body"
+    );
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+
+    const { userId, muted, scope = "global", gameId, roomId } = value;
+    const key = chatChannelKey(scope, gameId, roomId);
+    if (!key) {
+      res.status(400).json({ error: `A ${scope} mute needs gameId/roomId.` });
+      return;
+    }
+    setRoomMute(key, userId, muted);
+    console.log(`[Server] admin/mutes -> ${userId} muted=${muted} in ${key}`);
+    res.json({ userId, muted, channel: key });
+  });
+
+  return router;
+};
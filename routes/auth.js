@@ -0,0 +1,69 @@
+// routes/auth.js
+const express = require("express");
+const {
+  MAX_USER_NAME_LENGTH,
+  issueToken,
+  normalizeUserName,
+} = require("../utils/authUtils");
+const { createGuestUser } = require("../models/userModel");
+
+/** Guests are stored for good: each IP gets GUEST_RATE_LIMIT per window */
+const GUEST_RATE_LIMIT = Number(process.env.GUEST_RATE_LIMIT) || 10;
+const GUEST_RATE_WINDOW_MS =
+  Number(process.env.GUEST_RATE_WINDOW_MS) || 60 * 60 * 1000;
+
+// recentGuests: ip -> timestamps of guests it created inside the window
+const recentGuests = new Map();
+
+/**
+ * Count a guest sign-up against the IP's limit. Returns true if it's over
+ * the limit (and the sign-up should be refused).
+ */
+function isGuestRateLimited(ip, now = Date.now()) {
+  // Forget IPs whose window has passed, so the map can't grow unbounded
+  recentGuests.forEach((times, key) => {
+    if (now - times[times.length - 1] >= GUEST_RATE_WINDOW_MS) {
+      recentGuests.delete(key);
+    }
+  });
+
+  const times = (recentGuests.get(ip) || []).filter(
+    (time) => now - time < GUEST_RATE_WINDOW_MS
+  );
+  if (times.length >= GUEST_RATE_LIMIT) {
+    recentGuests.set(ip, times);
+    return true;
+  }
+  times.push(now);
+  recentGuests.set(ip, times);
+  return false;
+}
+
+const router = express.Router();
+
+// Create a guest identity; the token goes in the socket handshake
+router.post("/guest", (req, res) => {
+  if (isGuestRateLimited(req.ip)) {
+    console.log(`[Server] auth/guest -> rate limited ${req.ip}`);
+    res.status(429).json({ error: "Too many new guests, try again later." });
+    return;
+  }
+
+  const userName = normalizeUserName(req.body && req.body.userName);
+  if (!userName) {
+    res.status(400).json({
+      error: `User name must be 1-${MAX_USER_NAME_LENGTH} characters.`,
+    });
+    return;
+  }
+
+  const user = createGuestUser(userName);
+  console.log(`[Server] auth/guest -> ${user.userId} (${userName})`);
+  res.json({
+    userId: user.userId,
+    userName: user.userName,
+    token: issueToken(user),
+  });
+});
+
+module.exports = router;
@@ -1,10 +1,14 @@
 // routes/index.js
 const express = require("express");
-const router = express.Router();
+const createApiRouter = require("./api");
+const { listGames } = require("../utils/gameRegistry");
 
-// Default route for quick server-health checks
-router.get("/", (req, res) => {
-  res.send(`
+module.exports = (io, lobby) => {
+  const router = express.Router();
+
+  // Default route for quick server-health checks
+  router.get("/", (req, res) => {
+    res.send(`
     <html>
       <head>
         <title>API Status</title>
@@ -15,6 +19,24 @@ router.get("/", (req, res) => {
       </body>
     </html>
   `);
-});
+  });
+
+  // Machine-readable health check for monitoring
+  router.get("/health", (req, res) => {
+    const activeRooms = {};
+    listGames().forEach(({ id }) => {
+      const game = lobby.games[id];
+      activeRooms[id] = game ? Object.keys(game.activeRooms).length : 0;
+    });
+    res.json({
+      status: "ok",
+      uptime: process.uptime(),
+      connectedSockets: io.engine.clientsCount,
+      activeRooms,
+    });
+  });
+
+  router.use("/api", createApiRouter(io, lobby));
 
-module.exports = router;
+  return router;
+};
@@ -4,6 +4,7 @@ const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
 const cors = require("cors");
+const { authenticateSocket } = require("./utils/authUtils");
 
 const PORT = process.env.PORT || 3000;
 const app = express();
@@ -20,14 +21,18 @@ const io = new Server(httpServer, {
 app.use(
   cors({ origin: "*", methods: ["GET", "POST", "OPTIONS"], credentials: false })
 );
+app.use(express.json());
 
-// Routes
-const routes = require("./routes");
-app.use("/", routes);
+// Every socket must present a signed token from POST /api/auth/guest
+io.use(authenticateSocket);
 
 // Sockets
 const initializeSockets = require("./sockets");
-initializeSockets(io);
+const lobby = initializeSockets(io);
+
+// Routes
+const createRoutes = require("./routes");
+app.use("/", createRoutes(io, lobby));
 
 // Start the server
 httpServer.listen(PORT, () => {
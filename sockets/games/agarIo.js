@@ -1,14 +1,79 @@
 /************************************
  * sockets/games/agarIo.js
  ************************************/
-
-/** Dimensions of the world */
+const RBush = require("rbush").default;
+const {
+  createSnapshotTracker,
+  nextSnapshotTick,
+  encodeSnapshot,
+  acknowledgeSnapshot,
+  resetSnapshotClient,
+  pruneSnapshotClients,
+} = require("../../utils/snapshotUtils");
+const { ERROR_CODES, ackError } = require("../../utils/ackUtils");
+const { recordMatch } = require("../../models/matchModel");
+const {
+  hasSpectators,
+  emitToSpectators,
+} = require("../../utils/spectatorUtils");
+const {
+  recordReplayFrame,
+  recordReplayInput,
+  finishReplay,
+} = require("../../utils/replayUtils");
+
+/** Default dimensions of the world (rooms can pick a `worldSize`) */
 const WORLD_WIDTH = 1080;
 const WORLD_HEIGHT = 1080;
+const MIN_WORLD_SIZE = 540;
+const MAX_WORLD_SIZE = 4320;
 
 /** Tick rates (reduced to 30 FPS for stability) */
 const SIMULATION_RATE = 30; // simulation updates per second
 const BROADCAST_RATE = 30; // broadcast updates per second
+const SPECTATOR_FRAME_INTERVAL = 3; // spectators get every 3rd broadcast
+const REPLAY_FRAME_MS = 500; // replays keep two world frames a second
+
+/** Area of interest: how far around its player a client can see */
+const VIEW_RADIUS = 600;
+
+/** Movement: units per simulation tick at START_MASS */
+const START_MASS = 10;
+const BASE_PLAYER_SPEED = 6;
+const MIN_PLAYER_SPEED = 1.5;
+
+/** Mass: growth from food and other players, loss from bullets */
+const MIN_MASS = 5; // below this a player dies
+const MAX_MASS = 150;
+const PELLET_COUNT = 150; // for a default-sized world; scales with area
+const PELLET_RADIUS = 4;
+const PELLET_MASS = 0.5;
+const PELLETS_RESPAWNED_PER_TICK = 2;
+const EAT_MASS_RATIO = 1.25; // must be 25% bigger to eat another player
+const EAT_OVERLAP = 0.4; // ...and cover all but 40% of its radius
+
+/** Bullets: mass it costs to fire and mass it takes off whoever it hits */
+const BULLET_TYPES = {
+  charged: { speed: 30, radius: 5, cost: 1, damage: 4 },
+  fullyCharged: { speed: 30, radius: 25, cost: 3, damage: 12 },
+};
+
+/** Unit vectors for the held-direction inputs */
+const DIAGONAL = Math.SQRT1_2;
+const DIRECTIONS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+  "up-left": { x: -DIAGONAL, y: -DIAGONAL },
+  "up-right": { x: DIAGONAL, y: -DIAGONAL },
+  "down-left": { x: -DIAGONAL, y: DIAGONAL },
+  "down-right": { x: DIAGONAL, y: DIAGONAL },
+  none: { x: 0, y: 0 },
+};
+
+/** Schema for a plain number in event payloads */
+const NUMBER = { type: "number" };
 
 // A fast clamp function using ternaries.
 function clamp(value, min, max) {
@@ -25,27 +90,56 @@ function clamp(value, min, max) {
 function startAgarIoRoom(game, room, games) {
   console.log(`[Server] Starting Agar.io room, roomId=${room.id}`);
 
+  // Apply the room's settings.
+  const worldSize = (room.options && room.options.worldSize) || WORLD_WIDTH;
+  room.world = { width: worldSize, height: worldSize };
+  room.pelletTarget = Math.round(
+    (PELLET_COUNT * worldSize * worldSize) / (WORLD_WIDTH * WORLD_HEIGHT)
+  );
+
   // Initialize players using a Map for O(1) access.
   room.playersMap = new Map();
   room.alivePlayers = new Set();
 
   room.players.forEach((player) => {
     // Use bitwise operators to convert to an integer quickly.
-    player.x = ~~(Math.random() * WORLD_WIDTH);
-    player.y = ~~(Math.random() * WORLD_HEIGHT);
-    player.mass = 10;
+    player.x = ~~(Math.random() * room.world.width);
+    player.y = ~~(Math.random() * room.world.height);
+    player.mass = START_MASS;
     player.isDead = false;
     player.lastDx = 0;
     player.lastDy = 0;
+    player.inputX = 0;
+    player.inputY = 0;
+    player.inputSeq = 0;
+    player.lastInputSeq = 0;
     room.playersMap.set(player.socketId, player);
     room.alivePlayers.add(player.socketId);
   });
 
+  // Per-client snapshot history for delta-compressed broadcasts.
+  room.snapshots = createSnapshotTracker({
+    players: "socketId",
+    bullets: "id",
+    pellets: "id",
+  });
+
   // Initialize bullets array and bullet pool.
   room.bullets = [];
   room.bulletIdCounter = 1;
   room.bulletPool = [];
 
+  // Spatial indexes, rebuilt every simulation tick (see updateSpatialIndex).
+  room.playerSpatialIndex = new RBush();
+  room.bulletSpatialIndex = new RBush();
+  updateSpatialIndex(room);
+
+  // Food pellets don't move, so their index is updated incrementally.
+  room.pellets = new Map();
+  room.pelletIdCounter = 1;
+  room.pelletSpatialIndex = new RBush();
+  spawnPellets(room, room.pelletTarget);
+
   // Clear any existing intervals.
   if (room.simulationInterval) {
     clearInterval(room.simulationInterval);
@@ -61,8 +155,14 @@ function startAgarIoRoom(game, room, games) {
   }
 
   // Start the simulation update loop at 30 FPS.
+  room.tick = 0;
   room.simulationInterval = setInterval(() => {
+    room.tick++;
+    updatePlayers(room);
+    updateSpatialIndex(room);
+    updateEating(room);
     updateBullets(game, room, games);
+    spawnPellets(room, PELLETS_RESPAWNED_PER_TICK);
     // (Any additional simulation updates could be added here.)
   }, 1000 / SIMULATION_RATE);
 
@@ -76,11 +176,178 @@ function startAgarIoRoom(game, room, games) {
 }
 
 /**
- * Broadcast the entire game state (players and bullets).
+ * Bounding box of a circle, in the shape rbush expects.
+ */
+function circleBox(x, y, radius) {
+  return {
+    minX: x - radius,
+    minY: y - radius,
+    maxX: x + radius,
+    maxY: y + radius,
+  };
+}
+
+/**
+ * Refresh a player's or bullet's index entry in place and return it.
+ */
+function getSpatialItem(entity, radius) {
+  if (!entity.spatialItem) {
+    entity.spatialItem = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  }
+  const item = entity.spatialItem;
+  item.minX = entity.x - radius;
+  item.minY = entity.y - radius;
+  item.maxX = entity.x + radius;
+  item.maxY = entity.y + radius;
+  return item;
+}
+
+/**
+ * Rebuild the player and bullet spatial indexes from current positions.
+ * Bulk loading the whole tree is cheaper than moving every entry when
+ * nearly everything moves each tick.
+ */
+function updateSpatialIndex(room) {
+  const playerItems = [];
+  for (const socketId of room.alivePlayers) {
+    const player = room.playersMap.get(socketId);
+    if (!player) continue;
+    const item = getSpatialItem(player, player.mass);
+    item.player = player;
+    playerItems.push(item);
+  }
+  room.playerSpatialIndex.clear().load(playerItems);
+
+  const bulletItems = room.bullets.map((b) => {
+    const item = getSpatialItem(b, b.radius);
+    item.bullet = b;
+    return item;
+  });
+  room.bulletSpatialIndex.clear().load(bulletItems);
+}
+
+/**
+ * Bounding box of what the socket can see, centred on its own player
+ * (alive or not). Sockets without a player get null: the whole world.
+ */
+function getViewBox(room, socketId) {
+  const player = room.playersMap.get(socketId);
+  if (!player) return null;
+  return circleBox(player.x, player.y, VIEW_RADIUS + player.mass);
+}
+
+/**
+ * Entities (players and bullets) visible to one socket, looked up through
+ * the room's spatial indexes.
+ */
+function getVisibleState(room, fullView, viewBox) {
+  if (!viewBox) return fullView.all;
+
+  const view = { players: [], bullets: [], pellets: [] };
+  room.playerSpatialIndex.search(viewBox).forEach((item) => {
+    const data = fullView.players.get(item.player.socketId);
+    if (data) view.players.push(data);
+  });
+  room.bulletSpatialIndex.search(viewBox).forEach((item) => {
+    const data = fullView.bullets.get(item.bullet.id);
+    if (data) view.bullets.push(data);
+  });
+  room.pelletSpatialIndex.search(viewBox).forEach((item) => {
+    view.pellets.push(item.pellet);
+  });
+  return view;
+}
+
+/**
+ * Top the world back up to its target number of pellets, adding at most
+ * `limit` this call.
+ */
+function spawnPellets(room, limit) {
+  const missing = Math.min(limit, room.pelletTarget - room.pellets.size);
+  for (let i = 0; i < missing; i++) {
+    const pellet = {
+      id: room.pelletIdCounter++,
+      x: ~~(Math.random() * room.world.width),
+      y: ~~(Math.random() * room.world.height),
+      radius: PELLET_RADIUS,
+    };
+    const item = { ...circleBox(pellet.x, pellet.y, pellet.radius), pellet };
+    room.pellets.set(pellet.id, item);
+    room.pelletSpatialIndex.insert(item);
+  }
+}
+
+/**
+ * Change a player's mass, keeping it within MAX_MASS.
+ * Returns false if the player shrank below MIN_MASS.
+ */
+function addMass(player, amount) {
+  player.mass = Math.min(MAX_MASS, player.mass + amount);
+  return player.mass >= MIN_MASS;
+}
+
+/**
+ * Take a player out of the round.
+ */
+function killPlayer(room, player, reason) {
+  player.isDead = true;
+  room.alivePlayers.delete(player.socketId);
+  if (player.spatialItem) {
+    room.playerSpatialIndex.remove(player.spatialItem);
+  }
+  console.log(`[Server] Player ${player.userName} ${reason}`);
+}
+
+/**
+ * Players eat the pellets they overlap, and sufficiently bigger players
+ * eat smaller ones they mostly cover.
+ */
+function updateEating(room) {
+  for (const socketId of room.alivePlayers) {
+    const player = room.playersMap.get(socketId);
+    if (!player || player.isDead) continue;
+
+    const box = circleBox(player.x, player.y, player.mass);
+
+    room.pelletSpatialIndex.search(box).forEach((item) => {
+      const { pellet } = item;
+      const dx = pellet.x - player.x;
+      const dy = pellet.y - player.y;
+      if (dx * dx + dy * dy < player.mass * player.mass) {
+        room.pelletSpatialIndex.remove(item);
+        room.pellets.delete(pellet.id);
+        addMass(player, PELLET_MASS);
+      }
+    });
+
+    room.playerSpatialIndex.search(box).forEach(({ player: other }) => {
+      if (other === player || other.isDead) return;
+      if (player.mass < other.mass * EAT_MASS_RATIO) return;
+
+      const dx = other.x - player.x;
+      const dy = other.y - player.y;
+      const reach = player.mass - other.mass * EAT_OVERLAP;
+      if (dx * dx + dy * dy < reach * reach) {
+        addMass(player, other.mass);
+        killPlayer(room, other, `was eaten by ${player.userName}`);
+      }
+    });
+  }
+}
+
+/**
+ * Broadcast the game state (players, bullets and pellets) to each socket
+ * in the room channel, culled to what's within VIEW_RADIUS of its player.
+ * Clients get a full keyframe on `gameStateUpdate` when they
+ * join and every KEYFRAME_INTERVAL snapshots; otherwise `gameStateDelta`
+ * carries only what changed since the last snapshot they acknowledged
+ * (see handleSnapshotAck).
  */
 function broadcastGameState(io, gameId, roomId, room) {
-  if (!io) return;
+  if (!io || !room.playersMap) return;
   const channel = `${gameId}-${roomId}`;
+  const socketIds = io.sockets.adapter.rooms.get(channel) || new Set();
+  if (socketIds.size === 0 && !hasSpectators(room)) return;
 
   const playersData = Array.from(room.alivePlayers).map((socketId) => {
     const p = room.playersMap.get(socketId);
@@ -90,6 +357,7 @@ function broadcastGameState(io, gameId, roomId, room) {
       x: p.x,
       y: p.y,
       mass: p.mass,
+      lastInputSeq: p.lastInputSeq,
     };
   });
 
@@ -101,113 +369,200 @@ function broadcastGameState(io, gameId, roomId, room) {
     radius: b.radius,
   }));
 
-  io.to(channel).emit("gameStateUpdate", {
+  const pelletsData = Array.from(room.pellets.values(), (item) => item.pellet);
+
+  const fullView = {
+    all: { players: playersData, bullets: bulletsData, pellets: pelletsData },
+    players: new Map(playersData.map((p) => [p.socketId, p])),
+    bullets: new Map(bulletsData.map((b) => [b.id, b])),
+  };
+
+  const tick = nextSnapshotTick(room.snapshots);
+  const winner = room.winner || null;
+
+  socketIds.forEach((socketId) => {
+    const socket = io.sockets.sockets.get(socketId);
+    if (!socket) return;
+
+    const view = getVisibleState(room, fullView, getViewBox(room, socketId));
+    const snapshot = encodeSnapshot(room.snapshots, socketId, view);
+    if (snapshot.keyframe) {
+      socket.emit("gameStateUpdate", {
+        roomId,
+        tick,
+        players: snapshot.players,
+        bullets: snapshot.bullets,
+        pellets: snapshot.pellets,
+        winner,
+        worldSize: room.world,
+      });
+    } else {
+      socket.emit("gameStateDelta", {
+        roomId,
+        tick,
+        baseTick: snapshot.baseTick,
+        players: snapshot.players,
+        bullets: snapshot.bullets,
+        pellets: snapshot.pellets,
+        winner,
+      });
+    }
+  });
+  pruneSnapshotClients(room.snapshots, socketIds);
+
+  // Spectators (and replays) see the whole world, as plain keyframes at
+  // a lower rate
+  const worldFrame = {
     roomId,
-    players: playersData,
-    bullets: bulletsData,
-    winner: room.winner || null,
-    worldSize: { width: WORLD_WIDTH, height: WORLD_HEIGHT },
+    tick,
+    ...fullView.all,
+    winner,
+    worldSize: room.world,
+  };
+  if (tick % SPECTATOR_FRAME_INTERVAL === 0) {
+    emitToSpectators(io, gameId, room, "gameStateUpdate", worldFrame);
+  }
+  // Pellets never move: replays only keep which ones came and went
+  recordReplayFrame(room, "gameStateUpdate", worldFrame, {
+    minIntervalMs: REPLAY_FRAME_MS,
+    deltaKeys: ["pellets"],
   });
 }
 
 /**
- * Handle player movement from the client.
+ * Client confirms it applied snapshot `tick`; later deltas build on it.
  */
-function handlePlayerMove(io, games, data) {
-  const { gameId, roomId, socket, direction } = data;
+function handleSnapshotAck(io, games, socket, data) {
+  const { gameId, roomId, tick } = data;
+  const game = games[gameId];
+  if (!game) return;
+
+  const room = game.activeRooms[roomId];
+  if (!room || !room.snapshots) return;
+
+  acknowledgeSnapshot(room.snapshots, socket.id, tick);
+}
+
+/**
+ * Make the socket's next snapshot a full keyframe.
+ */
+function resync(room, socketId) {
+  if (room.snapshots) {
+    resetSnapshotClient(room.snapshots, socketId);
+  }
+}
+
+/**
+ * Handle movement input from the client.
+ *
+ * The client sends the input it is currently holding, not a step:
+ *   { direction: "up-left" | ... | "none", seq }  or
+ *   { direction: { x, y }, seq }                 (target vector)
+ * The simulation loop integrates it every tick, so sending more events
+ * doesn't move anyone faster. `seq` is echoed back as `lastInputSeq`
+ * once a tick has applied it, for client-side reconciliation.
+ */
+function handlePlayerMove(io, games, socket, data) {
+  const { gameId, roomId, direction, seq } = data;
   const game = games[gameId];
   if (!game) return;
 
   const room = game.activeRooms[roomId] || game.rooms[roomId];
-  if (!room) return;
+  if (!room || !room.playersMap) return;
 
   const player = room.playersMap.get(socket.id);
   if (!player || player.isDead) return;
 
-  const step = 4;
+  // Drop stale / out-of-order inputs
+  if (seq !== undefined) {
+    if (seq <= player.inputSeq) return;
+    player.inputSeq = seq;
+  }
+
   let dx = 0,
     dy = 0;
-  switch (direction) {
-    case "up-left":
-      dx = -step;
-      dy = -step;
-      break;
-    case "up-right":
-      dx = step;
-      dy = -step;
-      break;
-    case "down-left":
-      dx = -step;
-      dy = step;
-      break;
-    case "down-right":
-      dx = step;
-      dy = step;
-      break;
-    case "up":
-      dy = -step;
-      break;
-    case "down":
-      dy = step;
-      break;
-    case "left":
-      dx = -step;
-      break;
-    case "right":
-      dx = step;
-      break;
-    default:
-      break;
+  if (typeof direction === "string") {
+    dx = DIRECTIONS[direction].x;
+    dy = DIRECTIONS[direction].y;
+  } else if (direction) {
+    const len = Math.sqrt(
+      direction.x * direction.x + direction.y * direction.y
+    );
+    if (len > 0) {
+      dx = direction.x / len;
+      dy = direction.y / len;
+    }
   }
 
-  player.x = clamp(player.x + dx, 0, WORLD_WIDTH);
-  player.y = clamp(player.y + dy, 0, WORLD_HEIGHT);
+  player.inputX = dx;
+  player.inputY = dy;
+  // Note: We avoid immediate broadcasts to reduce per-action load.
+}
 
-  if (dx || dy) {
-    player.lastDx = dx;
-    player.lastDy = dy;
+/**
+ * Move every alive player one fixed step along its held input.
+ * Bigger players are slower.
+ */
+function updatePlayers(room) {
+  for (const socketId of room.alivePlayers) {
+    const player = room.playersMap.get(socketId);
+    if (!player) continue;
+
+    if (player.inputX || player.inputY) {
+      const speed = getPlayerSpeed(player.mass);
+      const dx = player.inputX * speed;
+      const dy = player.inputY * speed;
+      player.x = clamp(player.x + dx, 0, room.world.width);
+      player.y = clamp(player.y + dy, 0, room.world.height);
+      player.lastDx = dx;
+      player.lastDy = dy;
+    }
+    player.lastInputSeq = player.inputSeq;
   }
-  // Note: We avoid immediate broadcasts to reduce per-action load.
+}
+
+/**
+ * Per-tick speed for a given mass.
+ */
+function getPlayerSpeed(mass) {
+  return Math.max(
+    MIN_PLAYER_SPEED,
+    BASE_PLAYER_SPEED * Math.sqrt(START_MASS / mass)
+  );
 }
 
 /**
  * Handle shooting a bullet.
  */
-function handleShootBullet(io, games, data) {
-  const { gameId, roomId, socket, bulletType, direction } = data;
+function handleShootBullet(io, games, socket, data, ack) {
+  const { gameId, roomId, bulletType, direction } = data;
   const game = games[gameId];
-  if (!game) return;
+  if (!game) {
+    ackError(ack, ERROR_CODES.UNKNOWN_GAME, "That game doesn't exist.");
+    return;
+  }
 
-  const room = game.activeRooms[roomId] || game.rooms[roomId];
-  if (!room) return;
+  const room = game.activeRooms[roomId];
+  if (!room || !room.playersMap) {
+    ackError(ack, ERROR_CODES.ROOM_NOT_FOUND, "That game isn't running.");
+    return;
+  }
 
   const player = room.playersMap.get(socket.id);
-  if (!player || player.isDead) return;
-
-  if (
-    !direction ||
-    typeof direction.x !== "number" ||
-    typeof direction.y !== "number" ||
-    !["charged", "fullyCharged"].includes(bulletType)
-  ) {
+  if (!player || player.isDead) {
+    ackError(ack, ERROR_CODES.NOT_IN_GAME, "You're not playing this round.");
     return;
   }
 
-  let speedValue, radius, rangeLimit;
-  switch (bulletType) {
-    case "fullyCharged":
-      speedValue = 30;
-      radius = 25;
-      rangeLimit = Infinity;
-      break;
-    case "charged":
-      speedValue = 30;
-      radius = 5;
-      rangeLimit = Infinity;
-      break;
-    default:
-      return;
+  const { speed: speedValue, radius, cost, damage } = BULLET_TYPES[bulletType];
+  const rangeLimit = Infinity;
+
+  // Firing costs mass; a player can't shoot themselves to death
+  if (player.mass - cost < MIN_MASS) {
+    ackError(ack, ERROR_CODES.NOT_ENOUGH_MASS, "Not enough mass to shoot.");
+    return;
   }
+  addMass(player, -cost);
 
   const len =
     Math.sqrt(direction.x * direction.x + direction.y * direction.y) || 1;
@@ -228,6 +583,7 @@ function handleShootBullet(io, games, data) {
     bullet.rangeLimit = rangeLimit;
     bullet.type = bulletType;
     bullet.speed = speedValue;
+    bullet.damage = damage;
   } else {
     bullet = {
       id: room.bulletIdCounter++,
@@ -241,11 +597,52 @@ function handleShootBullet(io, games, data) {
       rangeLimit,
       type: bulletType,
       speed: speedValue,
+      damage,
     };
   }
 
+  // Not inserted into bulletSpatialIndex here: updateSpatialIndex
+  // rebuilds it next tick, and a pooled bullet's old entry may still be
+  // in the tree until then
   room.bullets.push(bullet);
-  io.to(`${game.id}-${room.id}`).emit("bulletCreated", bullet);
+  recordReplayInput(room, {
+    event: "shoot",
+    socketId: player.socketId,
+    userName: player.userName,
+    bulletType,
+    direction: { x: direction.x, y: direction.y },
+  });
+
+  const bulletData = {
+    id: bullet.id,
+    ownerId: bullet.ownerId,
+    x: bullet.x,
+    y: bullet.y,
+    vx: bullet.vx,
+    vy: bullet.vy,
+    radius: bullet.radius,
+    type: bullet.type,
+    speed: bullet.speed,
+  };
+  ack({ success: true, bulletId: bullet.id });
+
+  // Only tell the sockets that can see where the bullet was fired
+  const socketIds = io.sockets.adapter.rooms.get(`${game.id}-${room.id}`);
+  if (!socketIds) return;
+  socketIds.forEach((socketId) => {
+    const viewBox = getViewBox(room, socketId);
+    if (
+      viewBox &&
+      (bullet.x < viewBox.minX ||
+        bullet.x > viewBox.maxX ||
+        bullet.y < viewBox.minY ||
+        bullet.y > viewBox.maxY)
+    ) {
+      return;
+    }
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) socket.emit("bulletCreated", bulletData);
+  });
 }
 
 /**
@@ -263,9 +660,9 @@ function updateBullets(game, room, games) {
 
     if (
       b.x < 0 ||
-      b.x > WORLD_WIDTH ||
+      b.x > room.world.width ||
       b.y < 0 ||
-      b.y > WORLD_HEIGHT ||
+      b.y > room.world.height ||
       (b.rangeLimit !== Infinity && b.traveled >= b.rangeLimit)
     ) {
       room.bulletPool.push(b);
@@ -273,20 +670,22 @@ function updateBullets(game, room, games) {
       continue;
     }
 
+    // Only test the players whose boxes overlap the bullet's
+    const candidates = room.playerSpatialIndex.search(
+      circleBox(b.x, b.y, b.radius)
+    );
     let collisionDetected = false;
-    for (const player of room.playersMap.values()) {
+    for (const { player } of candidates) {
       if (player.socketId === b.ownerId || player.isDead) continue;
       const dx = b.x - player.x;
       const dy = b.y - player.y;
       const collisionDistance = b.radius + player.mass;
       if (dx * dx + dy * dy < collisionDistance * collisionDistance) {
-        player.isDead = true;
-        room.alivePlayers.delete(player.socketId);
+        if (!addMass(player, -b.damage)) {
+          killPlayer(room, player, `was killed by bullet ${b.id}`);
+        }
         room.bulletPool.push(b);
         room.bullets.splice(i, 1);
-        console.log(
-          `[Server] Player ${player.userName} was killed by bullet ${b.id}`
-        );
         collisionDetected = true;
         break;
       }
@@ -294,12 +693,20 @@ function updateBullets(game, room, games) {
     if (collisionDetected) continue;
   }
 
-  // Check win condition (0 or 1 player left).
+  checkForWinner(game, room, games);
+}
+
+/**
+ * End the game once at most one player is left alive; the survivor, if
+ * any, wins.
+ */
+function checkForWinner(game, room, games) {
   if (room.alivePlayers.size <= 1 && !room.winner) {
     if (room.alivePlayers.size === 1) {
       const winnerId = Array.from(room.alivePlayers)[0];
       const winnerPlayer = room.playersMap.get(winnerId);
       room.winner = winnerPlayer ? winnerPlayer.userName : null;
+      room.winnerId = winnerPlayer ? winnerPlayer.userId : null;
       console.log(`[Server] Player ${room.winner} has won roomId=${room.id}`);
     } else {
       room.winner = null;
@@ -309,6 +716,57 @@ function updateBullets(game, room, games) {
   }
 }
 
+/**
+ * The player's socket dropped: stop them drifting along their last input
+ * while they're gone.
+ */
+function playerDisconnected(room, player) {
+  player.inputX = 0;
+  player.inputY = 0;
+}
+
+/**
+ * A player left mid-game (forceLeaveGame, or their reconnect grace period
+ * ran out): drop their state, and see whether that leaves a winner.
+ */
+function playerLeft(game, room, player, index, games) {
+  if (!game.activeRooms[room.id] || !room.playersMap) return;
+
+  room.playersMap.delete(player.socketId);
+  room.alivePlayers.delete(player.socketId);
+  if (player.spatialItem) {
+    room.playerSpatialIndex.remove(player.spatialItem);
+  }
+  console.log(`[Server] Player ${player.userName} left roomId=${room.id}`);
+
+  checkForWinner(game, room, games);
+}
+
+/**
+ * Re-key a reconnected player's state onto their new socket id.
+ */
+function rebindPlayer(room, oldSocketId, newSocketId) {
+  if (!room.playersMap) return;
+
+  const player = room.playersMap.get(oldSocketId);
+  if (player) {
+    room.playersMap.delete(oldSocketId);
+    room.playersMap.set(newSocketId, player);
+    // A reloaded client numbers its inputs from the start again
+    player.inputSeq = 0;
+    player.lastInputSeq = 0;
+    player.inputX = 0;
+    player.inputY = 0;
+  }
+  if (room.alivePlayers && room.alivePlayers.delete(oldSocketId)) {
+    room.alivePlayers.add(newSocketId);
+  }
+  room.bullets.forEach((b) => {
+    if (b.ownerId === oldSocketId) b.ownerId = newSocketId;
+  });
+  resync(room, newSocketId);
+}
+
 /**
  * Cleanup the game room and notify clients.
  */
@@ -334,22 +792,80 @@ function endAgarIoRoom(game, room, games) {
   if (room.playersMap) {
     room.playersMap.forEach((player) => {
       player.isDead = false;
-      player.mass = 10;
+      player.mass = START_MASS;
+      player.inputX = 0;
+      player.inputY = 0;
     });
   }
 
+  const gameEnded = { roomId: room.id, winner: room.winner };
   if (game.activeRooms[room.id]) {
+    recordReplayFrame(room, "gameEnded", gameEnded);
+    const match = recordMatch({
+      gameId: game.id,
+      roomId: room.id,
+      players: room.players.map(({ userId, userName }) => ({
+        userId,
+        userName,
+      })),
+      roster: room.roster,
+      winner: room.winner,
+      winnerId: room.winnerId,
+      startedAt: room.startedAt,
+    });
+    finishReplay(room, match);
     delete game.activeRooms[room.id];
     console.log(`[Server] Removed roomId=${room.id} from activeRooms`);
   }
 
-  game.io.to(`${game.id}-${room.id}`).emit("gameEnded", {
-    roomId: room.id,
-    winner: room.winner,
-  });
+  game.io.to(`${game.id}-${room.id}`).emit("gameEnded", gameEnded);
+  emitToSpectators(game.io, game.id, room, "gameEnded", gameEnded);
 }
 
 module.exports = {
+  id: 2,
+  name: "Agar.io",
+  minPlayers: 2,
+  maxPlayers: 4,
+  countdownSeconds: 10,
+  options: {
+    worldSize: {
+      type: "number",
+      default: WORLD_WIDTH,
+      min: MIN_WORLD_SIZE,
+      max: MAX_WORLD_SIZE,
+    },
+  },
+  start: startAgarIoRoom,
+  broadcast: broadcastGameState,
+  end: endAgarIoRoom,
+  rebindPlayer,
+  playerDisconnected,
+  playerLeft,
+  resync,
+  events: {
+    playerMove: handlePlayerMove,
+    shoot: handleShootBullet,
+    snapshotAck: handleSnapshotAck,
+  },
+  schemas: {
+    playerMove: {
+      direction: {
+        optional: true,
+        oneOf: [
+          { type: "string", enum: Object.keys(DIRECTIONS) },
+          { type: "object", fields: { x: NUMBER, y: NUMBER } },
+        ],
+      },
+      seq: { type: "integer", min: 0, optional: true },
+    },
+    shoot: {
+      bulletType: { type: "string", enum: Object.keys(BULLET_TYPES) },
+      direction: { type: "object", fields: { x: NUMBER, y: NUMBER } },
+    },
+    snapshotAck: { tick: { type: "integer", min: 0 } },
+  },
+
   startAgarIoRoom,
   broadcastGameState,
   handlePlayerMove,
@@ -359,4 +875,5 @@ module.exports = {
   WORLD_HEIGHT,
   SIMULATION_RATE,
   BROADCAST_RATE,
+  VIEW_RADIUS,
 };
@@ -1,90 +1,172 @@
 /************************************
  * sockets/games/biggestTomato.js
  ************************************/
-const { shuffleDeck } = require("../../utils/cardsUtils");
+const {
+  createDeck,
+  decksNeeded,
+  isValidCard,
+  cardValue,
+  shuffleDeck,
+} = require("../../utils/cardsUtils");
+const { ERROR_CODES, ackError } = require("../../utils/ackUtils");
+const { recordMatch } = require("../../models/matchModel");
+const { emitToSpectators } = require("../../utils/spectatorUtils");
+const {
+  recordReplayFrame,
+  recordReplayInput,
+  finishReplay,
+} = require("../../utils/replayUtils");
+
+/** Default number of cards dealt to each player */
+const HAND_SIZE = 5;
+
+/** Default seconds a player gets for their turn */
+const TURN_SECONDS = 20;
+
+/** Default number of rounds in a match */
+const ROUNDS = 3;
+
+/** Pause between rounds (ms) */
+const ROUND_BREAK_MS = 3000;
 
 /**
- * Called after countdown, deals cards, sets up room.
+ * Called after countdown: sets up the match and deals the first round.
  */
-function startBiggestTomatoRoom(game, room) {
+function startBiggestTomatoRoom(game, room, games) {
   if (!room.players || room.players.length === 0) return;
 
-  console.log("[Server] startBiggestTomatoRoom -> Dealing cards...");
-
-  const deck = [
-    "A",
-    "2",
-    "3",
-    "4",
-    "5",
-    "6",
-    "7",
-    "8",
-    "9",
-    "10",
-    "J",
-    "Q",
-    "K",
-  ];
-  shuffleDeck(deck);
-
-  // Deal 5 cards each
+  room.round = 0;
+  room.totalRounds = (room.options && room.options.rounds) || ROUNDS;
+  room.winner = null;
+  room.players.forEach((player) => {
+    player.score = 0;
+  });
+
+  startRound(game, room, games);
+}
+
+/**
+ * Deal a fresh round. Every player still in the room plays again, and
+ * the first turn rotates each round.
+ */
+function startRound(game, room, games) {
+  room.round++;
+  console.log(
+    `[Server] startRound -> round ${room.round}/${room.totalRounds}, dealing cards...`
+  );
+
+  // Enough decks that everyone gets a full `handSize` hand
+  const options = room.options || {};
+  const handSize = options.handSize || HAND_SIZE;
+  const decks = decksNeeded(room.players.length, handSize, {
+    minDecks: options.decks || 1,
+    jokers: !!options.jokers,
+  });
+  const deck = shuffleDeck(createDeck({ decks, jokers: !!options.jokers }));
+
   room.players.forEach((player) => {
     player.isDead = false;
-    player.cards = deck.slice(0, 5);
-    deck.splice(0, 5);
+    player.cards = deck.splice(0, handSize);
   });
 
   room.playedCards = []; // store all played cards in order
-  room.currentPlayerIndex = 0;
-  room.currentPlayerSocketId = room.players[0].socketId;
-  room.winner = null;
+  room.eliminated = []; // socketIds, in the order they went out this round
+  room.currentPlayerIndex = (room.round - 1) % room.players.length;
+  room.currentPlayerSocketId = room.players[room.currentPlayerIndex].socketId;
+  startTurnTimer(game, room, games);
 
-  console.log("[Server] Dealt 5 cards to each player:");
+  console.log(
+    `[Server] Dealt ${handSize} cards to each player from ${decks} deck(s):`
+  );
   room.players.forEach((p) => {
     console.log(`   => ${p.userName}, cards=[${p.cards.join(", ")}]`);
   });
 }
 
+/**
+ * Take a player out of the current round.
+ */
+function eliminatePlayer(room, player, reason) {
+  player.isDead = true;
+  room.eliminated.push(player.socketId);
+  console.log(`[Server] => ${player.userName} ${reason}.`);
+}
+
 /**
  * Player plays a card:
+ * - The card must be a real card and in the player's hand
  * - If smaller than last, the player is eliminated
  * - Otherwise record it
+ * The ack gets { success, eliminated } or { success: false, code, error }.
  */
-function handlePlayCard(io, games, data) {
-  const { gameId, roomId, socket, card } = data;
+function handlePlayCard(io, games, socket, data, ack) {
+  const { gameId, roomId, card } = data;
   const game = games[gameId];
-  if (!game) return;
+  if (!game) {
+    ackError(ack, ERROR_CODES.UNKNOWN_GAME, "That game doesn't exist.");
+    return;
+  }
 
-  let room = game.activeRooms[roomId] || game.rooms[roomId];
+  let room = game.activeRooms[roomId];
   if (!room) {
     console.log(`[Server] handlePlayCard -> Room ${roomId} not found`);
+    ackError(ack, ERROR_CODES.ROOM_NOT_FOUND, "That game isn't running.");
+    return;
+  }
+
+  // Find player
+  const player = room.players.find((p) => p.socketId === socket.id);
+  if (!player || player.isDead) {
+    console.log("[Server] Player not found or dead, ignoring.");
+    ackError(ack, ERROR_CODES.NOT_IN_GAME, "You're not playing this round.");
     return;
   }
 
   // Enforce turn-based logic
   if (socket.id !== room.currentPlayerSocketId) {
     console.log("[Server] Not your turn, ignoring playCard.");
+    ackError(ack, ERROR_CODES.NOT_YOUR_TURN, "It's not your turn.");
     return;
   }
 
-  // Find player
-  const player = room.players.find((p) => p.socketId === socket.id);
-  if (!player || player.isDead) {
-    console.log("[Server] Player not found or dead, ignoring.");
+  // The card has to be real and actually in the player's hand
+  if (!isValidCard(card)) {
+    console.log(`[Server] ${player.userName} sent invalid card ${card}`);
+    ackError(ack, ERROR_CODES.INVALID_CARD, "That's not a valid card.");
     return;
   }
+  const handIndex = player.cards.indexOf(card);
+  if (handIndex === -1) {
+    console.log(`[Server] ${player.userName} doesn't hold ${card}`);
+    ackError(ack, ERROR_CODES.CARD_NOT_IN_HAND, "You don't have that card.");
+    return;
+  }
+
+  playCard(room, player, handIndex);
+  ack({ success: true, eliminated: player.isDead });
+
+  finishTurn(io, game, room, games);
+}
 
+/**
+ * Play the card at `handIndex` from the player's hand. If it's smaller
+ * than the last card, the player is eliminated.
+ */
+function playCard(room, player, handIndex) {
+  const card = player.cards[handIndex];
   console.log(`[Server] ${player.userName} played ${card}`);
+  recordReplayInput(room, {
+    event: "playCard",
+    socketId: player.socketId,
+    userName: player.userName,
+    card,
+  });
 
   // Compare with last card if any
   if (room.playedCards.length > 0) {
     const lastCard = room.playedCards[room.playedCards.length - 1];
     if (!compareCards(card, lastCard)) {
-      player.isDead = true;
-      console.log(
-        `[Server] => smaller card => ${player.userName} is eliminated.`
-      );
+      eliminatePlayer(room, player, "played a smaller card, eliminated");
     }
   }
 
@@ -92,46 +174,202 @@ function handlePlayCard(io, games, data) {
   room.playedCards.push(card);
 
   // Remove the card from player's hand
-  player.cards = player.cards.filter((c) => c !== card);
+  player.cards.splice(handIndex, 1);
+}
+
+/**
+ * After a play (or a timeout), move to the next player and either end
+ * the game or restart the turn timer and broadcast.
+ */
+function finishTurn(io, game, room, games) {
+  // Next alive player (anyone left without cards drops out)
+  advanceTurn(room);
+
+  // Check if 1 or 0 alive => round over
+  if (checkRoundOver(io, game, room, games)) return;
+
+  // Otherwise broadcast updated state
+  startTurnTimer(game, room, games);
+  broadcastGameState(io, game.id, room.id, room);
+}
 
-  // Next alive player
+/**
+ * (Re)start the current player's turn timer. Remaining time is broadcast
+ * every second as `turnTimerUpdate`; when it runs out the player's turn
+ * is taken for them (see handleTurnTimeout).
+ */
+function startTurnTimer(game, room, games) {
+  clearTurnTimer(room);
+
+  const channel = `${game.id}-${room.id}`;
+  const seconds = (room.options && room.options.turnSeconds) || TURN_SECONDS;
+  const turnTimer = { remaining: seconds, intervalId: null };
+
+  turnTimer.intervalId = setInterval(() => {
+    turnTimer.remaining--;
+    const update = {
+      roomId: room.id,
+      currentPlayerId: room.currentPlayerSocketId,
+      remaining: turnTimer.remaining,
+    };
+    game.io.to(channel).emit("turnTimerUpdate", update);
+    emitToSpectators(game.io, game.id, room, "turnTimerUpdate", update);
+
+    if (turnTimer.remaining <= 0) {
+      clearTurnTimer(room);
+      handleTurnTimeout(game, room, games);
+    }
+  }, 1000);
+
+  room.turnTimer = turnTimer;
+}
+
+function clearTurnTimer(room) {
+  if (room.turnTimer) {
+    clearInterval(room.turnTimer.intervalId);
+    room.turnTimer = null;
+  }
+}
+
+/**
+ * The current player ran out of time. Depending on the room's
+ * `autoPlayOnTimeout` option we either play their lowest card that still
+ * beats the last one (or their lowest card, if none does), or eliminate
+ * them outright.
+ */
+function handleTurnTimeout(game, room, games) {
+  const player = room.players.find(
+    (p) => p.socketId === room.currentPlayerSocketId
+  );
+  if (!player || player.isDead) return;
+
+  const autoPlay = !room.options || room.options.autoPlayOnTimeout !== false;
+  if (autoPlay && player.cards.length > 0) {
+    const lastCard = room.playedCards[room.playedCards.length - 1];
+    const byRank = player.cards
+      .map((card, handIndex) => ({ card, handIndex }))
+      .sort((a, b) => cardValue(a.card) - cardValue(b.card));
+    const pick =
+      byRank.find(({ card }) => !lastCard || compareCards(card, lastCard)) ||
+      byRank[0];
+
+    console.log(`[Server] => ${player.userName} timed out, auto-playing.`);
+    playCard(room, player, pick.handIndex);
+  } else {
+    recordReplayInput(room, {
+      event: "turnTimeout",
+      socketId: player.socketId,
+      userName: player.userName,
+    });
+    eliminatePlayer(room, player, "timed out, eliminated");
+  }
+
+  finishTurn(game.io, game, room, games);
+}
+
+/**
+ * Pass the turn to the next alive player. A player whose turn comes up
+ * with an empty hand can't beat the last card, so they're eliminated and
+ * the turn moves on.
+ */
+function advanceTurn(room) {
   nextAlivePlayer(room);
 
-  // Check if 1 or 0 alive => game over
+  let current = room.players[room.currentPlayerIndex];
+  while (current && !current.isDead && current.cards.length === 0) {
+    eliminatePlayer(room, current, "is out of cards");
+    if (room.players.filter((p) => !p.isDead).length <= 1) return;
+
+    nextAlivePlayer(room);
+    current = room.players[room.currentPlayerIndex];
+  }
+}
+
+/**
+ * If 1 or 0 players are left alive, score the round and either deal the
+ * next one or finish the match. Returns true if the round is over.
+ *
+ * Scoring: players earn one point for each player that went out before
+ * them, so the round winner gets (players - 1).
+ */
+function checkRoundOver(io, game, room, games) {
   const alive = room.players.filter((p) => !p.isDead);
-  if (alive.length <= 1) {
-    room.winner = alive.length === 1 ? alive[0].socketId : null;
-    console.log(`[Server] => Game Over! winner=${room.winner || "None"}`);
+  if (alive.length > 1) return false;
 
-    io.to(`${gameId}-${roomId}`).emit("gameOver", { winner: room.winner });
-    endBiggestTomatoRoom(game, room, games);
-    return;
+  clearTurnTimer(room);
+  room.currentPlayerSocketId = null;
+
+  const roundWinner = alive.length === 1 ? alive[0].socketId : null;
+  const finishOrder = roundWinner
+    ? [...room.eliminated, roundWinner]
+    : room.eliminated;
+  finishOrder.forEach((socketId, points) => {
+    const player = room.players.find((p) => p.socketId === socketId);
+    if (player) player.score += points;
+  });
+  console.log(
+    `[Server] => Round ${room.round} over! winner=${roundWinner || "None"}`
+  );
+
+  const roundOver = {
+    roomId: room.id,
+    round: room.round,
+    totalRounds: room.totalRounds,
+    winner: roundWinner,
+    standings: getStandings(room),
+  };
+  io.to(`${game.id}-${room.id}`).emit("roundOver", roundOver);
+  emitToSpectators(io, game.id, room, "roundOver", roundOver);
+  recordReplayFrame(room, "roundOver", roundOver);
+
+  if (room.round < room.totalRounds && room.players.length > 1) {
+    room.roundTimeout = setTimeout(() => {
+      room.roundTimeout = null;
+      if (!game.activeRooms[room.id]) return;
+      startRound(game, room, games);
+      broadcastGameState(io, game.id, room.id, room);
+    }, ROUND_BREAK_MS);
+    return true;
   }
 
-  // Otherwise broadcast updated state
-  broadcastGameState(io, gameId, roomId, room);
+  finishMatch(io, game, room, games);
+  return true;
+}
+
+/**
+ * Players by cumulative score, best first.
+ */
+function getStandings(room) {
+  return room.players
+    .map((p) => ({
+      socketId: p.socketId,
+      userId: p.userId,
+      userName: p.userName,
+      score: p.score || 0,
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Announce the final standings and clean up.
+ */
+function finishMatch(io, game, room, games) {
+  const standings = getStandings(room);
+  room.winner = standings.length > 0 ? standings[0].socketId : null;
+  console.log(`[Server] => Match Over! winner=${room.winner || "None"}`);
+
+  const matchOver = { roomId: room.id, winner: room.winner, standings };
+  io.to(`${game.id}-${room.id}`).emit("matchOver", matchOver);
+  emitToSpectators(io, game.id, room, "matchOver", matchOver);
+  recordReplayFrame(room, "matchOver", matchOver);
+  endBiggestTomatoRoom(game, room, games);
 }
 
 /**
- * Compare two cards by rank. Return true if cardA > cardB.
+ * Compare two cards by rank, then suit. Return true if cardA > cardB.
  */
 function compareCards(cardA, cardB) {
-  const rankOrder = [
-    "A",
-    "2",
-    "3",
-    "4",
-    "5",
-    "6",
-    "7",
-    "8",
-    "9",
-    "10",
-    "J",
-    "Q",
-    "K",
-  ];
-  return rankOrder.indexOf(cardA) > rankOrder.indexOf(cardB);
+  return cardValue(cardA) > cardValue(cardB);
 }
 
 /**
@@ -152,14 +390,20 @@ function nextAlivePlayer(room) {
 }
 
 /**
- * Broadcast to all clients in this room.
+ * Send each client in this room its own view of the state: its own
+ * hand, and only a card count for everyone else. Spectators get the
+ * same view with no hands at all.
  *
  * NOTE: We only show the "second-to-last" card as `lastPlayedCard`,
  * and the entire older list as `playedCardHistory`.
  * The truly last card is hidden from the front-end.
  */
 function broadcastGameState(io, gameId, roomId, room) {
+  // A lobby room has no game state yet
+  if (!room.playedCards) return;
+
   const channel = `${gameId}-${roomId}`;
+  const socketIds = io.sockets.adapter.rooms.get(channel) || new Set();
 
   const played = room.playedCards;
   let displayedLastCard = null; // This is the "previous to last"
@@ -175,19 +419,105 @@ function broadcastGameState(io, gameId, roomId, room) {
     displayedHistory = played.slice(0, played.length - 2);
   }
 
-  io.to(channel).emit("gameStateUpdate", {
+  const stateFor = (viewerSocketId) => ({
     roomId,
-    players: room.players.map((p) => ({
-      socketId: p.socketId,
-      userName: p.userName,
-      isDead: p.isDead,
-      cards: p.cards || [],
-    })),
+    players: room.players.map((p) => serializePlayer(p, viewerSocketId)),
     lastPlayedCard: displayedLastCard, // The second-to-last card
     playedCardHistory: displayedHistory, // All older
     currentPlayerId: room.currentPlayerSocketId,
+    round: room.round,
+    totalRounds: room.totalRounds,
+    turnRemaining: room.turnTimer ? room.turnTimer.remaining : null,
     winner: room.winner || null,
   });
+
+  socketIds.forEach((socketId) => {
+    const socket = io.sockets.sockets.get(socketId);
+    if (!socket) return;
+    socket.emit("gameStateUpdate", stateFor(socketId));
+  });
+  const publicState = stateFor(null);
+  emitToSpectators(io, gameId, room, "gameStateUpdate", publicState);
+  recordReplayFrame(room, "gameStateUpdate", publicState);
+}
+
+/**
+ * A player as seen by `viewerSocketId`: the hand itself is only
+ * included for the player's own socket.
+ */
+function serializePlayer(player, viewerSocketId) {
+  const cards = player.cards || [];
+  const data = {
+    socketId: player.socketId,
+    userName: player.userName,
+    isDead: player.isDead,
+    disconnected: !!player.disconnected,
+    cardCount: cards.length,
+    score: player.score || 0,
+  };
+  if (player.socketId === viewerSocketId) {
+    data.cards = cards;
+  }
+  return data;
+}
+
+/**
+ * Keep the turn on a player who reconnected with a new socket id.
+ */
+function rebindPlayer(room, oldSocketId, newSocketId) {
+  if (room.currentPlayerSocketId === oldSocketId) {
+    room.currentPlayerSocketId = newSocketId;
+  }
+  if (room.winner === oldSocketId) {
+    room.winner = newSocketId;
+  }
+  if (room.eliminated) {
+    room.eliminated = room.eliminated.map((id) =>
+      id === oldSocketId ? newSocketId : id
+    );
+  }
+}
+
+/**
+ * A player left the room for good (they've already been removed from
+ * room.players, and sat at `index`). They count as eliminated this round;
+ * the turn indexes are fixed up for the shorter player list, and if it
+ * was their turn it passes on.
+ */
+function playerLeft(game, room, player, index, games) {
+  if (!game.activeRooms[room.id]) return;
+  console.log(`[Server] => ${player.userName} left the game.`);
+
+  // Between rounds: nothing to reindex, but a match needs two players
+  if (room.roundTimeout) {
+    if (room.players.length < 2) {
+      clearTimeout(room.roundTimeout);
+      room.roundTimeout = null;
+      finishMatch(game.io, game, room, games);
+    }
+    return;
+  }
+
+  if (!player.isDead) {
+    eliminatePlayer(room, player, "left, eliminated");
+  }
+  if (room.players.length === 0) return;
+
+  if (room.currentPlayerSocketId === player.socketId) {
+    // Point at the seat before theirs, so the turn moves to whoever
+    // now sits at `index`
+    clearTurnTimer(room);
+    room.currentPlayerIndex =
+      (index - 1 + room.players.length) % room.players.length;
+    finishTurn(game.io, game, room, games);
+    return;
+  }
+
+  room.currentPlayerIndex = room.players.findIndex(
+    (p) => p.socketId === room.currentPlayerSocketId
+  );
+  if (checkRoundOver(game.io, game, room, games)) return;
+  broadcastGameState(game.io, game.id, room.id, room);
 }
 
 /**
@@ -195,12 +525,57 @@ function broadcastGameState(io, gameId, roomId, room) {
  */
 function endBiggestTomatoRoom(game, room, games) {
   console.log(`[Server] endBiggestTomatoRoom -> cleaning up room ${room.id}`);
+  clearTurnTimer(room);
+  if (room.roundTimeout) {
+    clearTimeout(room.roundTimeout);
+    room.roundTimeout = null;
+  }
   if (game.activeRooms[room.id]) {
+    const winner = room.players.find((p) => p.socketId === room.winner);
+    const match = recordMatch({
+      gameId: game.id,
+      roomId: room.id,
+      players: getStandings(room).map(({ userId, userName, score }) => ({
+        userId,
+        userName,
+        score,
+      })),
+      roster: room.roster,
+      winner: winner ? winner.userName : null,
+      winnerId: winner ? winner.userId : null,
+      startedAt: room.startedAt,
+    });
+    finishReplay(room, match);
     delete game.activeRooms[room.id];
   }
 }
 
 module.exports = {
+  id: 1,
+  name: "Biggest Tomato",
+  minPlayers: 2,
+  maxPlayers: 4,
+  countdownSeconds: 10,
+  options: {
+    handSize: { type: "number", default: HAND_SIZE, min: 1, max: 13 },
+    decks: { type: "number", default: 1, min: 1, max: 4 },
+    jokers: { type: "boolean", default: false },
+    rounds: { type: "number", default: ROUNDS, min: 1, max: 10 },
+    turnSeconds: { type: "number", default: TURN_SECONDS, min: 5, max: 120 },
+    autoPlayOnTimeout: { type: "boolean", default: true },
+  },
+  start: startBiggestTomatoRoom,
+  broadcast: broadcastGameState,
+  end: endBiggestTomatoRoom,
+  rebindPlayer,
+  playerLeft,
+  events: {
+    playCard: handlePlayCard,
+  },
+  schemas: {
+    playCard: { card: { type: "string", minLength: 1, maxLength: 8 } },
+  },
+
   startBiggestTomatoRoom,
   handlePlayCard,
   broadcastGameState,
@@ -4,21 +4,80 @@
 const {
   getGame,
   ensureSingleEmptyRoom,
+  createRoom,
+  serializeRoom,
   broadcastRooms,
-  allPlayersReady,
-  startCountdown,
+  cancelCountdown,
+  syncCountdown,
   updateRoomCountForSingleUser,
   updateRoomCountForEveryone,
 } = require("../utils/gameUtils");
 
 const {
+  getGameModule,
+  getGameEvents,
+  getGameEventSchema,
+  dispatchGameEvent,
   broadcastGameState: broadcastGameGeneric,
   endGame: endGameGeneric,
+  rebindPlayer,
+  disconnectPlayer,
+  removePlayer,
+  resyncGameState,
 } = require("../utils/gameRegistry");
 
-// For direct event handling if you prefer (like .handlePlayCard)
-const biggestTomato = require("./games/biggestTomato");
-const agarIo = require("./games/agarIo.js");
+const { ERROR_CODES, toAck, ackError } = require("../utils/ackUtils");
+
+const {
+  ensureSession,
+  getSession,
+  startGracePeriod,
+  resumeSession,
+} = require("../utils/sessionUtils");
+
+const { GAME_ID, validatePayload } = require("../utils/validationUtils");
+const { EVENT_SCHEMAS } = require("./schemas");
+const {
+  chatChannelKey,
+  createChatMessage,
+  addToHistory,
+  getHistory,
+  findMessage,
+} = require("../utils/chatUtils");
+const {
+  isRateLimited,
+  maskBlockedWords,
+  setPersonalMute,
+  hasMuted,
+  setRoomMute,
+  isMutedIn,
+} = require("../utils/moderationUtils");
+
+const {
+  addSpectator,
+  removeSpectator,
+  broadcastSpectatorCount,
+} = require("../utils/spectatorUtils");
+
+const { touchUser, getUser } = require("../models/userModel");
+const {
+  queueDirectMessage,
+  takePendingDirectMessages,
+  setBlocked,
+  isBlocked,
+} = require("../models/directMessageModel");
+const { createReport } = require("../models/reportModel");
+const { loadReplay } = require("../models/replayModel");
+const { playReplay } = require("../utils/replayUtils");
+
+/**
+ * The game id a validated payload names, if its schema has one.
+ */
+function payloadGameId(schema, value) {
+  if (schema === GAME_ID) return value;
+  if (schema.fields && schema.fields.gameId === GAME_ID) return value.gameId;
+  return undefined;
+}
 
 module.exports = (io) => {
   // Master games object:
@@ -28,6 +87,65 @@ module.exports = (io) => {
   // Track user info by socket
   let userList = {};
 
+  /**
+   * Find every ACTIVE room the socket is seated in.
+   */
+  function findActiveSeats(socketId) {
+    const seats = [];
+    Object.entries(games).forEach(([gameId, game]) => {
+      Object.entries(game.activeRooms).forEach(([roomId, room]) => {
+        const player = room.players.find((p) => p.socketId === socketId);
+        if (player) seats.push({ gameId, game, roomId, room, player });
+      });
+    });
+    return seats;
+  }
+
+  /**
+   * The lobby or ACTIVE room the socket is seated in, if any.
+   */
+  function findSeat(socketId) {
+    for (const [gameId, game] of Object.entries(games)) {
+      const rooms = [
+        ...Object.values(game.rooms),
+        ...Object.values(game.activeRooms),
+      ];
+      const room = rooms.find((r) =>
+        r.players.some((p) => p.socketId === socketId)
+      );
+      if (room) return { gameId, room };
+    }
+    return null;
+  }
+
+  /**
+   * Remove a socket from every ACTIVE room it is seated in,
+   * ending games that no longer have enough players.
+   */
+  function removeFromActiveRooms(socketId) {
+    Object.entries(games).forEach(([gameId, game]) => {
+      Object.entries(game.activeRooms).forEach(([roomId, room]) => {
+        const disconnectedPlayer = removePlayer(
+          gameId,
+          game,
+          room,
+          socketId,
+          games
+        );
+        if (!disconnectedPlayer) return;
+
+        console.log(
+          `[Server] Removed ${socketId} from ACTIVE roomId=${roomId} in gameId=${gameId}`
+        );
+
+        // If the room is empty, end the game / remove it
+        if (room.players.length === 0 && game.activeRooms[roomId]) {
+          endGameGeneric(gameId, game, room, games);
+        }
+      });
+    });
+  }
+
   io.on("connection", (socket) => {
     console.log(`🟢 [Server] A user connected: ${socket.id}`);
 
@@ -36,6 +154,21 @@ module.exports = (io) => {
       games[gameId].io = io;
     });
 
+    // The auth middleware already verified who this is
+    userList[socket.id] = {
+      id: socket.id,
+      userId: socket.userId,
+      userName: socket.userName,
+    };
+    touchUser(socket.userId);
+    io.emit("users", Object.values(userList));
+    sendChatHistory("global");
+
+    // Direct messages that arrived while this user was offline
+    takePendingDirectMessages(socket.userId).forEach((message) => {
+      socket.emit("directMessage", message);
+    });
+
     // Update room counts for newly connected user (if any games exist)
     if (Object.keys(games).length > 0) {
       Object.entries(games).forEach(([gameId]) => {
@@ -43,36 +176,359 @@ module.exports = (io) => {
       });
     }
 
+    // Stops the replay this socket is watching, if any
+    let stopReplayPlayback = null;
+
+    /**
+     * Listen for a client event whose payload is checked first: against
+     * EVENT_SCHEMAS for lobby events, or the game's schema for game
+     * events. Bad payloads get an INVALID_PAYLOAD ack, and payloads naming
+     * an unregistered game an UNKNOWN_GAME ack; neither reaches
+     * `handler(data, ack)`.
+     */
+    function on(event, handler) {
+      socket.on(event, (data, callback) => {
+        // emit(event, callback) with no payload
+        if (typeof data === "function" && callback === undefined) {
+          callback = data;
+          data = undefined;
+        }
+        const ack = toAck(callback);
+        const schema =
+          EVENT_SCHEMAS[event] ||
+          getGameEventSchema(event, data && data.gameId);
+
+        const { value, error } = validatePayload(schema, data);
+        if (error) {
+          console.log(
+            `[Server] ${event} -> rejected payload from ${socket.id}: ${error}`
+          );
+          ackError(ack, ERROR_CODES.INVALID_PAYLOAD, error);
+          return;
+        }
+
+        // Handlers may assume the game exists (getGame would otherwise
+        // make up an entry for any id a client sends)
+        const gameId = payloadGameId(schema, value);
+        if (gameId !== undefined && !getGameModule(gameId)) {
+          console.log(
+            `[Server] ${event} -> rejected unknown gameId=${gameId} from ${socket.id}`
+          );
+          ackError(ack, ERROR_CODES.UNKNOWN_GAME, "Unknown game.");
+          return;
+        }
+        handler(value, ack);
+      });
+    }
+
+    /**
+     * The socket.io channel a chat scope is delivered on (null: everyone).
+     */
+    function chatSocketChannel(scope, gameId, roomId) {
+      if (scope === "game") return gameId;
+      if (scope === "room") return `${gameId}-${roomId}`;
+      return null;
+    }
+
+    /**
+     * Send the recent messages of a chat scope the socket just joined
+     * (minus anyone this user has muted).
+     */
+    function sendChatHistory(scope, gameId, roomId) {
+      socket.emit("chatHistory", {
+        scope,
+        gameId,
+        roomId,
+        messages: getHistory(chatChannelKey(scope, gameId, roomId)).filter(
+          (m) => !hasMuted(socket.userId, m.sender.userId)
+        ),
+      });
+    }
+
+    /**
+     * Send a chat message to everyone else on `channel` (null: everyone
+     * connected), skipping users who muted the sender.
+     */
+    function deliverChatMessage(channel, message) {
+      const socketIds =
+        channel === null
+          ? io.sockets.sockets.keys()
+          : io.sockets.adapter.rooms.get(channel) || [];
+      for (const socketId of socketIds) {
+        if (socketId === socket.id) continue;
+        const recipient = io.sockets.sockets.get(socketId);
+        if (!recipient || hasMuted(recipient.userId, socket.userId)) continue;
+        recipient.emit("chat message", message);
+      }
+    }
+
+    /**
+     * Seat this socket in a lobby room and join its channel.
+     */
+    function addPlayerToRoom(gameId, room) {
+      room.players.push({
+        socketId: socket.id,
+        userId: socket.userId,
+        userName: socket.userName,
+        isReady: false,
+      });
+
+      const session = ensureSession(socket);
+      socket.emit("session", { sessionToken: session.token });
+
+      // Join the unique lobby-room channel, e.g. "1-abc123"
+      const uniqueRoomChannel = `${gameId}-${room.id}`;
+      socket.join(uniqueRoomChannel);
+      sendChatHistory("room", gameId, room.id);
+
+      // A new (not ready) player stops any countdown in progress
+      cancelCountdown(gameId, room, io, "playerJoined");
+      console.log(
+        `[Server] ${socket.id} joined roomId=${room.id} (lobby) in gameId=${gameId}`
+      );
+
+      // If first player, ensure we still have at least one empty room
+      if (room.players.length === 1) {
+        ensureSingleEmptyRoom(gameId, games, io);
+      }
+    }
+
     /********************************************
-     * Track user name
+     * Who am I? (the name comes from the auth token; clients can no
+     * longer pick one here)
      ********************************************/
-    socket.on("user name", (userName, callback) => {
-      if (typeof userName !== "string") {
-        callback({ success: false, error: "Invalid user name." });
+    on("user name", (_userName, ack) => {
+      // Issue a session token the client can use to resume after a drop
+      const session = ensureSession(socket);
+      socket.emit("session", { sessionToken: session.token });
+      ack({
+        success: true,
+        userId: socket.userId,
+        userName: socket.userName,
+        sessionToken: session.token,
+      });
+    });
+
+    /********************************************
+     * Resume a session after a dropped socket
+     ********************************************/
+    on("resumeSession", (sessionToken, ack) => {
+      const resumed = resumeSession(sessionToken, socket);
+      if (!resumed) {
+        ack({ success: false, error: "Session expired." });
         return;
       }
-      socket.userName = userName;
-      userList[socket.id] = { id: socket.id, userName };
+
+      const { session, previousSocketId } = resumed;
+
+      // Re-bind the player's seat in any active game and send the state
+      const seats = findActiveSeats(previousSocketId);
+      seats.forEach(({ gameId, roomId, room }) => {
+        rebindPlayer(gameId, room, previousSocketId, socket.id);
+        socket.join(`${gameId}-${roomId}`);
+        broadcastGameGeneric(gameId, io, room);
+        console.log(
+          `[Server] resumeSession -> ${socket.id} re-seated in ${gameId}-${roomId}`
+        );
+      });
+
+      // If the old socket is somehow still connected, retire it. Only
+      // now: its disconnect handler gives up whatever seats it still holds.
+      const staleSocket = io.sockets.sockets.get(previousSocketId);
+      if (staleSocket && staleSocket.id !== socket.id) {
+        staleSocket.disconnect(true);
+      }
       io.emit("users", Object.values(userList));
+
+      ack({
+        success: true,
+        userName: session.userName,
+        rooms: seats.map(({ gameId, roomId }) => ({
+          gameId: Number(gameId),
+          roomId,
+        })),
+      });
+    });
+
+    /********************************************
+     * Chat: global, per-game lobby, or per-room
+     ********************************************/
+    on("chat message", (payload, ack) => {
+      // A bare string is a global message
+      const {
+        scope = "global",
+        gameId,
+        roomId,
+        text,
+      } = typeof payload === "string" ? { text: payload } : payload;
+
+      const key = chatChannelKey(scope, gameId, roomId);
+      if (!key) {
+        ackError(
+          ack,
+          ERROR_CODES.INVALID_PAYLOAD,
+          `A ${scope} message needs its gameId/roomId.`
+        );
+        return;
+      }
+      const channel = chatSocketChannel(scope, gameId, roomId);
+      if (channel !== null && !socket.rooms.has(channel)) {
+        ackError(
+          ack,
+          ERROR_CODES.NOT_IN_CHANNEL,
+          "Join that lobby or room before chatting in it."
+        );
+        return;
+      }
+      if (isMutedIn(key, socket.userId)) {
+        ackError(ack, ERROR_CODES.MUTED, "You've been muted here.");
+        return;
+      }
+      if (isRateLimited(socket.userId)) {
+        console.log(`[Server] chat message -> ${socket.userId} rate limited`);
+        ackError(ack, ERROR_CODES.RATE_LIMITED, "Slow down a little.");
+        return;
+      }
+
+      const message = createChatMessage(socket, maskBlockedWords(text), {
+        scope,
+        gameId,
+        roomId,
+      });
+      addToHistory(key, message);
+      deliverChatMessage(channel, message);
+      console.log(`[Server] chat message (${key}) from ${socket.userId}`);
+      ack({ success: true, message });
+    });
+
+    /********************************************
+     * Direct messages
+     ********************************************/
+
+    // Delivered to every socket the recipient has open, or held until
+    // they next connect
+    on("directMessage", ({ toUserId, text }, ack) => {
+      if (toUserId === socket.userId || !getUser(toUserId)) {
+        ackError(ack, ERROR_CODES.USER_NOT_FOUND, "No such user.");
+        return;
+      }
+      if (isBlocked(toUserId, socket.userId)) {
+        ackError(ack, ERROR_CODES.BLOCKED, "You can't message this user.");
+        return;
+      }
+      if (isRateLimited(socket.userId)) {
+        ackError(ack, ERROR_CODES.RATE_LIMITED, "Slow down a little.");
+        return;
+      }
+
+      const message = {
+        ...createChatMessage(socket, maskBlockedWords(text), {
+          scope: "direct",
+        }),
+        toUserId,
+      };
+      const recipients = Array.from(io.sockets.sockets.values()).filter(
+        (s) => s.userId === toUserId
+      );
+      if (recipients.length === 0 && !queueDirectMessage(message)) {
+        ackError(ack, ERROR_CODES.INBOX_FULL, "Their inbox is full.");
+        return;
+      }
+      recipients.forEach((recipient) => {
+        recipient.emit("directMessage", message);
+      });
+
       console.log(
-        `[Server] user name set -> socketId=${socket.id}, userName=${userName}`
+        `[Server] directMessage -> ${socket.userId} to ${toUserId} (${
+          recipients.length > 0 ? "delivered" : "queued"
+        })`
       );
+      ack({ success: true, message, delivered: recipients.length > 0 });
+    });
+
+    // Refuse (or allow again) direct messages from another user
+    on("blockUser", ({ userId, blocked }, ack) => {
+      setBlocked(socket.userId, userId, blocked);
+      ack({ success: true });
     });
 
     /********************************************
-     * Chat message event (global)
+     * Chat moderation
      ********************************************/
-    socket.on("chat message", (msg) => {
-      console.log(`[Server] chat message from ${socket.id}: ${msg}`);
-      socket.broadcast.emit("chat message", msg);
+
+    // Stop (or resume) seeing another user's messages
+    on("muteUser", ({ userId, muted }, ack) => {
+      setPersonalMute(socket.userId, userId, muted);
+      ack({ success: true });
+    });
+
+    // The creator of a room can silence a user in that room's chat
+    on("muteInRoom", ({ gameId, roomId, userId, muted }, ack) => {
+      const game = getGame(gameId, games);
+      const room = game.rooms[roomId] || game.activeRooms[roomId];
+      if (!room) {
+        ackError(ack, ERROR_CODES.ROOM_NOT_FOUND, "That room doesn't exist.");
+        return;
+      }
+      if (!room.ownerId || room.ownerId !== socket.userId) {
+        ackError(
+          ack,
+          ERROR_CODES.NOT_ROOM_OWNER,
+          "Only the room's creator can do that."
+        );
+        return;
+      }
+
+      setRoomMute(chatChannelKey("room", gameId, roomId), userId, muted);
+      console.log(
+        `[Server] muteInRoom -> ${userId} muted=${muted} in ${gameId}-${roomId}`
+      );
+      ack({ success: true });
+    });
+
+    // Flag a message for admins to review
+    on("reportMessage", ({ messageId, reason }, ack) => {
+      const message = findMessage(messageId);
+      if (!message) {
+        ackError(
+          ack,
+          ERROR_CODES.MESSAGE_NOT_FOUND,
+          "That message is no longer available."
+        );
+        return;
+      }
+
+      const report = createReport({
+        message,
+        reporterId: socket.userId,
+        reason,
+      });
+      if (!report) {
+        ackError(
+          ack,
+          ERROR_CODES.ALREADY_REPORTED,
+          "You already reported that message."
+        );
+        return;
+      }
+      console.log(
+        `[Server] reportMessage -> ${socket.userId} reported ${messageId}`
+      );
+      ack({ success: true, reportId: report.id });
     });
 
     /********************************************
      * Request available rooms (lobby) for a game
      ********************************************/
-    socket.on("requestRooms", (gameId) => {
+    on("requestRooms", (gameId) => {
+      if (!getGameModule(gameId)) {
+        console.log(`[Server] requestRooms -> gameId=${gameId} not registered`);
+        return;
+      }
+
       // Join the "lobby" channel for that game
       socket.join(gameId);
+      sendChatHistory("game", gameId);
 
       // Ensure we have at least one empty room
       ensureSingleEmptyRoom(gameId, games, io);
@@ -86,45 +542,88 @@ module.exports = (io) => {
     /********************************************
      * Join a room (in the lobby)
      ********************************************/
-    socket.on("joinRoom", ({ gameId, roomId, userName }) => {
+    on("joinRoom", ({ gameId, roomId, password }, ack) => {
+      const reject = (code, error) => {
+        console.log(`[Server] joinRoom -> ${socket.id} rejected: ${code}`);
+        ackError(ack, code, error);
+      };
+
+      if (!getGameModule(gameId)) {
+        reject(ERROR_CODES.UNKNOWN_GAME, "That game doesn't exist.");
+        return;
+      }
+
       const game = getGame(gameId, games);
-      if (!game.rooms[roomId]) {
-        console.log(
-          `[Server] joinRoom -> Room ${roomId} not found in game ${gameId}`
-        );
+      if (game.activeRooms[roomId]) {
+        reject(ERROR_CODES.ROOM_ACTIVE, "That game has already started.");
         return;
       }
 
       const room = game.rooms[roomId];
+      if (!room) {
+        reject(ERROR_CODES.ROOM_NOT_FOUND, "That room no longer exists.");
+        return;
+      }
+
       const existingPlayer = room.players.find((p) => p.socketId === socket.id);
       if (!existingPlayer) {
-        // Add this player
-        room.players.push({
-          socketId: socket.id,
-          userName: userName || socket.userName || "Unknown",
-          isReady: false,
-        });
+        const otherSeat = findSeat(socket.id);
+        if (otherSeat) {
+          reject(ERROR_CODES.ALREADY_IN_ROOM, "Leave your current room first.");
+          return;
+        }
+        if (room.players.length >= room.maxPlayers) {
+          reject(ERROR_CODES.ROOM_FULL, "That room is full.");
+          return;
+        }
+        if (room.password && password !== room.password) {
+          reject(ERROR_CODES.WRONG_PASSWORD, "Wrong room password.");
+          return;
+        }
+        addPlayerToRoom(gameId, room);
+      }
 
-        // Join the unique lobby-room channel, e.g. "1-abc123"
-        const uniqueRoomChannel = `${gameId}-${roomId}`;
-        socket.join(uniqueRoomChannel);
-        console.log(
-          `[Server] ${socket.id} joined roomId=${roomId} (lobby) in gameId=${gameId}`
+      broadcastRooms(gameId, games, io);
+      ack({ success: true, room: serializeRoom(room) });
+    });
+
+    /********************************************
+     * Create a lobby room with custom settings
+     ********************************************/
+    on("createRoom", (settings, ack) => {
+      const { gameId } = settings;
+
+      if (findSeat(socket.id)) {
+        ackError(
+          ack,
+          ERROR_CODES.ALREADY_IN_ROOM,
+          "Leave your current room first."
         );
+        return;
+      }
 
-        // If first player, ensure we still have at least one empty room
-        if (room.players.length === 1) {
-          ensureSingleEmptyRoom(gameId, games, io);
-        }
+      const { room, error } = createRoom(gameId, games, settings);
+      if (error) {
+        console.log(`[Server] createRoom -> rejected: ${error}`);
+        ackError(ack, ERROR_CODES.INVALID_SETTINGS, error);
+        return;
       }
 
+      room.ownerId = socket.userId;
+      socket.join(gameId);
+      addPlayerToRoom(gameId, room);
+      console.log(
+        `[Server] createRoom -> ${socket.id} created roomId=${room.id} in gameId=${gameId}`
+      );
+
       broadcastRooms(gameId, games, io);
+      ack({ success: true, room: serializeRoom(room) });
     });
 
     /********************************************
      * Leave a lobby room
      ********************************************/
-    socket.on("leaveRoom", ({ gameId, roomId }) => {
+    on("leaveRoom", ({ gameId, roomId }) => {
       const game = getGame(gameId, games);
       const room = game.rooms[roomId];
       if (!room) return;
@@ -133,8 +632,11 @@ module.exports = (io) => {
       const uniqueRoomChannel = `${gameId}-${roomId}`;
       socket.leave(uniqueRoomChannel);
 
-      // Remove the player
+      // Remove the player and restart the countdown from the top (it
+      // carries on only if whoever's left is still enough, and all ready)
       room.players = room.players.filter((p) => p.socketId !== socket.id);
+      cancelCountdown(gameId, room, io, "playerLeft");
+      syncCountdown(gameId, room, games, io);
 
       // If the room is now empty, we might remove it
       const emptyRooms = Object.values(game.rooms).filter(
@@ -157,7 +659,7 @@ module.exports = (io) => {
     /********************************************
      * Toggle player readiness in the lobby
      ********************************************/
-    socket.on("toggleReady", ({ gameId, roomId, isReady }) => {
+    on("toggleReady", ({ gameId, roomId, isReady }) => {
       const game = getGame(gameId, games);
       const room = game.rooms[roomId];
       if (!room) return;
@@ -170,13 +672,8 @@ module.exports = (io) => {
         );
       }
 
-      // If all players in this room are ready, start the countdown
-      if (allPlayersReady(room)) {
-        console.log(
-          `[Server] All players ready -> Starting countdown for roomId=${roomId}`
-        );
-        startCountdown(gameId, roomId, games, io);
-      }
+      // Start the countdown if everyone is ready, cancel it if not
+      syncCountdown(gameId, room, games, io);
 
       broadcastRooms(gameId, games, io);
     });
@@ -186,9 +683,18 @@ module.exports = (io) => {
      ********************************************/
 
     // 1) Join the “in-game” channel after the game starts
-    socket.on("joinGameChannel", ({ gameId, roomId }) => {
+    //    (players only; everyone else goes through spectateRoom)
+    on("joinGameChannel", ({ gameId, roomId }, ack) => {
+      const game = getGame(gameId, games);
+      const room = game.rooms[roomId] || game.activeRooms[roomId];
+      if (!room || !room.players.some((p) => p.socketId === socket.id)) {
+        ackError(ack, ERROR_CODES.NOT_IN_GAME, "You're not in that game.");
+        return;
+      }
+
       const channel = `${gameId}-${roomId}`;
       socket.join(channel);
+      sendChatHistory("room", gameId, roomId);
       console.log(
         `[Server] Socket ${socket.id} joined in-game channel: ${channel}`
       );
@@ -207,10 +713,93 @@ module.exports = (io) => {
       if (games[gameId].activeRooms[roomId]) {
         games[gameId].activeRooms[roomId].id = roomId;
       }
+      ack({ success: true });
+    });
+
+    /********************************************
+     * Spectators
+     ********************************************/
+
+    // Running rooms of a game, with their spectator counts
+    on("requestActiveRooms", (gameId, ack) => {
+      if (!getGameModule(gameId)) {
+        ackError(ack, ERROR_CODES.UNKNOWN_GAME, "That game doesn't exist.");
+        return;
+      }
+      const game = getGame(gameId, games);
+      ack({
+        success: true,
+        rooms: Object.values(game.activeRooms).map(serializeRoom),
+      });
+    });
+
+    // Watch a running game without taking a seat
+    on("spectateRoom", ({ gameId, roomId }, ack) => {
+      const game = getGame(gameId, games);
+      const room = game.activeRooms[roomId];
+      if (!room) {
+        ackError(ack, ERROR_CODES.ROOM_NOT_FOUND, "That game isn't running.");
+        return;
+      }
+      if (findSeat(socket.id)) {
+        ackError(
+          ack,
+          ERROR_CODES.ALREADY_IN_ROOM,
+          "Leave your current room first."
+        );
+        return;
+      }
+
+      addSpectator(gameId, room, socket);
+      console.log(
+        `[Server] spectateRoom -> ${socket.id} watching ${gameId}-${roomId}`
+      );
+      broadcastSpectatorCount(io, gameId, room);
+      ack({ success: true, room: serializeRoom(room) });
+
+      // Send the current state right away
+      resyncGameState(gameId, room, socket.id);
+      broadcastGameGeneric(gameId, io, room);
+    });
+
+    on("stopSpectating", ({ gameId, roomId }, ack) => {
+      const game = getGame(gameId, games);
+      const room = game.activeRooms[roomId];
+      if (room && removeSpectator(gameId, room, socket)) {
+        broadcastSpectatorCount(io, gameId, room);
+      }
+      ack({ success: true });
+    });
+
+    // Play a finished match back (one replay per socket at a time)
+    on("watchReplay", ({ replayId, speed = 1 }, ack) => {
+      loadReplay(replayId).then((replay) => {
+        if (!replay) {
+          ackError(ack, ERROR_CODES.REPLAY_NOT_FOUND, "Replay not found.");
+          return;
+        }
+        if (!socket.connected) return;
+
+        if (stopReplayPlayback) stopReplayPlayback();
+        console.log(
+          `[Server] watchReplay -> ${socket.id} watching ${replayId} at ${speed}x`
+        );
+        const { timeline, ...meta } = replay;
+        ack({ success: true, replay: meta, speed });
+        stopReplayPlayback = playReplay(socket, replay, speed);
+      });
+    });
+
+    on("stopReplay", (data, ack) => {
+      if (stopReplayPlayback) {
+        stopReplayPlayback();
+        stopReplayPlayback = null;
+      }
+      ack({ success: true });
     });
 
     // 2) Request the current game state (active or lobby)
-    socket.on("requestGameState", ({ gameId, roomId }) => {
+    on("requestGameState", ({ gameId, roomId }) => {
       const game = getGame(gameId, games);
 
       // Check activeRooms first
@@ -231,35 +820,28 @@ module.exports = (io) => {
         `[Server] requestGameState -> broadcasting current state for ${gameId}-${roomId}`
       );
 
+      // The requester gets a full state, not a delta
+      resyncGameState(gameId, room, socket.id);
       // Use our generic function from gameRegistry
       broadcastGameGeneric(gameId, io, room);
     });
 
-    // 3) For BiggestTomato
-    socket.on("playCard", (data) => {
-      data.socket = socket; // So we know who played
-      biggestTomato.handlePlayCard(io, games, data);
-    });
-
-    // 4) Player movement (Agar.io)
-    socket.on("playerMove", (data) => {
-      data.socket = socket;
-      agarIo.handlePlayerMove(io, games, data);
-    });
-
-    // 5) Shooting bullets (Agar.io)
-    socket.on("shoot", (data) => {
-      data.socket = socket;
-      agarIo.handleShootBullet(io, games, data);
+    // 3) Game-specific events (playCard, playerMove, shoot, ...), routed
+    //    to whichever registered game module matches data.gameId
+    getGameEvents().forEach((event) => {
+      on(event, (data, ack) => {
+        dispatchGameEvent(event, io, games, socket, data, ack);
+      });
     });
 
     /********************************************
      * End Game Event Handler (generic)
      ********************************************/
-    socket.on("endGame", ({ gameId, roomId }) => {
+    on("endGame", ({ gameId, roomId }, ack) => {
       const game = getGame(gameId, games);
       if (!game) {
         console.log(`[Server] endGame -> Game ${gameId} not found`);
+        ackError(ack, ERROR_CODES.UNKNOWN_GAME, "Unknown game.");
         return;
       }
 
@@ -269,11 +851,22 @@ module.exports = (io) => {
         console.log(
           `[Server] endGame -> Room ${roomId} not found in activeRooms`
         );
+        ackError(ack, ERROR_CODES.ROOM_NOT_FOUND, "That game isn't running.");
+        return;
+      }
+
+      // Only someone playing in the room may end it (not spectators)
+      if (!room.players.some((p) => p.socketId === socket.id)) {
+        console.log(
+          `[Server] endGame -> ${socket.id} isn't seated in roomId=${roomId}`
+        );
+        ackError(ack, ERROR_CODES.NOT_IN_GAME, "You're not in that game.");
         return;
       }
 
       // Use our generic function from gameRegistry
       endGameGeneric(gameId, game, room, games);
+      ack({ success: true });
 
       console.log(
         `[Server] endGame -> Cleaned up roomId=${roomId} in gameId=${gameId}`
@@ -283,7 +876,7 @@ module.exports = (io) => {
     /********************************************
      * Force Leave Game Handler
      ********************************************/
-    socket.on("forceLeaveGame", ({ gameId, roomId }) => {
+    on("forceLeaveGame", ({ gameId, roomId }) => {
       console.log(
         `[Server] forceLeaveGame -> socketId=${socket.id}, gameId=${gameId}, roomId=${roomId}`
       );
@@ -305,32 +898,15 @@ module.exports = (io) => {
       const uniqueRoomChannel = `${gameId}-${roomId}`;
       socket.leave(uniqueRoomChannel);
 
-      // Remove player from the array
-      room.players = room.players.filter((p) => p.socketId !== socket.id);
-
-      // If Agar.io, also remove from playersMap & so on
-      if (room.playersMap) {
-        room.playersMap.delete(socket.id);
-      }
-      if (room.alivePlayers) {
-        room.alivePlayers.delete(socket.id);
-      }
-
-      // If Agar.io, remove from spatial index
-      if (room.playerSpatialIndex) {
-        const player = room.playersMap.get(socket.id);
-        if (player) {
-          room.playerSpatialIndex.remove(
-            {
-              minX: player.x - player.mass,
-              minY: player.y - player.mass,
-              maxX: player.x + player.mass,
-              maxY: player.y + player.mass,
-              player,
-            },
-            (a, b) => a.player.socketId === b.player.socketId
-          );
-        }
+      // Remove player from the array (letting a running game react)
+      if (game.activeRooms[roomId]) {
+        removePlayer(gameId, game, room, socket.id, games);
+      } else {
+        room.players = room.players.filter((p) => p.socketId !== socket.id);
+      }
+      if (game.rooms[roomId]) {
+        cancelCountdown(gameId, room, io, "playerLeft");
+        syncCountdown(gameId, room, games, io);
       }
 
       console.log(
@@ -363,6 +939,17 @@ module.exports = (io) => {
       delete userList[socket.id];
       io.emit("users", Object.values(userList));
 
+      if (stopReplayPlayback) stopReplayPlayback();
+
+      // Stop spectating anything
+      Object.entries(games).forEach(([gameId, game]) => {
+        Object.values(game.activeRooms).forEach((room) => {
+          if (removeSpectator(gameId, room, socket)) {
+            broadcastSpectatorCount(io, gameId, room);
+          }
+        });
+      });
+
       // 1) Remove from LOBBY rooms
       Object.entries(games).forEach(([gameId, game]) => {
         Object.entries(game.rooms).forEach(([roomId, room]) => {
@@ -374,6 +961,8 @@ module.exports = (io) => {
             console.log(
               `[Server] Removed ${socket.id} from LOBBY roomId=${roomId} in gameId=${gameId}`
             );
+            cancelCountdown(gameId, room, io, "playerLeft");
+            syncCountdown(gameId, room, games, io);
 
             // Handle empty lobby rooms
             const emptyRooms = Object.values(game.rooms).filter(
@@ -386,48 +975,28 @@ module.exports = (io) => {
             broadcastRooms(gameId, games, io);
           }
         });
+      });
 
-        // 2) Remove from ACTIVE rooms
-        Object.entries(game.activeRooms).forEach(([roomId, room]) => {
-          const playerIndex = room.players.findIndex(
-            (p) => p.socketId === socket.id
-          );
-          if (playerIndex === -1) return;
-
-          const [disconnectedPlayer] = room.players.splice(playerIndex, 1);
-          console.log(
-            `[Server] Removed ${socket.id} from ACTIVE roomId=${roomId} in gameId=${gameId}`
-          );
-
-          // If Agar.io, handle playersMap, alivePlayers, etc.
-          if (room.playersMap && room.alivePlayers && room.playerSpatialIndex) {
-            room.playersMap.delete(socket.id);
-            room.alivePlayers.delete(socket.id);
-
-            room.playerSpatialIndex.remove(
-              {
-                minX: disconnectedPlayer.x - disconnectedPlayer.mass,
-                minY: disconnectedPlayer.y - disconnectedPlayer.mass,
-                maxX: disconnectedPlayer.x + disconnectedPlayer.mass,
-                maxY: disconnectedPlayer.y + disconnectedPlayer.mass,
-                player: disconnectedPlayer,
-              },
-              (a, b) => a.player.socketId === b.player.socketId
-            );
-
-            // If only 1 or 0 remain
-            if (room.alivePlayers.size <= 1) {
-              // We can just end the game
-              endGameGeneric(gameId, game, room, games);
-            }
-          }
+      // 2) ACTIVE rooms keep the seat during the reconnect grace period
+      const session = getSession(socket.sessionToken);
+      if (!session || session.socketId !== socket.id) {
+        removeFromActiveRooms(socket.id);
+        return;
+      }
 
-          // If the room is empty, end the game / remove it
-          if (room.players.length === 0 && game.activeRooms[roomId]) {
-            endGameGeneric(gameId, game, room, games);
-          }
-        });
+      findActiveSeats(socket.id).forEach(({ gameId, room, player }) => {
+        disconnectPlayer(gameId, room, player);
+        broadcastGameGeneric(gameId, io, room);
+      });
+      startGracePeriod(session, (expired) => {
+        removeFromActiveRooms(expired.socketId);
       });
     });
   });
+
+  // Read-only access for the REST API
+  return {
+    games,
+    getOnlineUsers: () => Object.values(userList),
+  };
 };
@@ -0,0 +1,128 @@
+/************************************
+ * sockets/schemas.js
+ ************************************/
+const {
+  GAME_ID,
+  ROOM_ID,
+  ROOM_REF_FIELDS,
+} = require("../utils/validationUtils");
+const {
+  MAX_ROOM_NAME_LENGTH,
+  MAX_ROOM_PASSWORD_LENGTH,
+} = require("../utils/gameUtils");
+const { CHAT_SCOPES } = require("../utils/chatUtils");
+const { MIN_REPLAY_SPEED, MAX_REPLAY_SPEED } = require("../utils/replayUtils");
+
+/** Longest chat message accepted */
+const MAX_CHAT_MESSAGE_LENGTH = 500;
+
+const ROOM_REF = { type: "object", fields: ROOM_REF_FIELDS };
+
+const USER_ID = { type: "string", minLength: 1, maxLength: 64 };
+
+const CHAT_TEXT = {
+  type: "string",
+  minLength: 1,
+  maxLength: MAX_CHAT_MESSAGE_LENGTH,
+};
+
+/**
+ * Payload schemas for the lobby/connection events handled in
+ * sockets/index.js (see utils/validationUtils.js for the format).
+ * Game events declare theirs in the game module's `schemas`.
+ */
+const EVENT_SCHEMAS = {
+  "user name": { type: "any" },
+  resumeSession: { type: "string", minLength: 1, maxLength: 128 },
+  "chat message": {
+    oneOf: [
+      CHAT_TEXT,
+      {
+        type: "object",
+        fields: {
+          scope: { type: "string", enum: CHAT_SCOPES, optional: true },
+          gameId: { ...GAME_ID, optional: true },
+          roomId: { ...ROOM_ID, optional: true },
+          text: CHAT_TEXT,
+        },
+      },
+    ],
+  },
+  requestRooms: GAME_ID,
+  joinRoom: {
+    type: "object",
+    fields: {
+      gameId: GAME_ID,
+      roomId: ROOM_ID,
+      password: {
+        type: "string",
+        maxLength: MAX_ROOM_PASSWORD_LENGTH,
+        optional: true,
+      },
+    },
+  },
+  createRoom: {
+    type: "object",
+    fields: {
+      gameId: GAME_ID,
+      name: { type: "string", maxLength: MAX_ROOM_NAME_LENGTH },
+      maxPlayers: { type: "integer", optional: true },
+      password: {
+        type: "string",
+        maxLength: MAX_ROOM_PASSWORD_LENGTH,
+        optional: true,
+      },
+      options: { type: "object", optional: true },
+    },
+  },
+  muteUser: {
+    type: "object",
+    fields: { userId: USER_ID, muted: { type: "boolean" } },
+  },
+  muteInRoom: {
+    type: "object",
+    fields: { ...ROOM_REF_FIELDS, userId: USER_ID, muted: { type: "boolean" } },
+  },
+  directMessage: {
+    type: "object",
+    fields: { toUserId: USER_ID, text: CHAT_TEXT },
+  },
+  blockUser: {
+    type: "object",
+    fields: { userId: USER_ID, blocked: { type: "boolean" } },
+  },
+  reportMessage: {
+    type: "object",
+    fields: {
+      messageId: { type: "string", minLength: 1, maxLength: 32 },
+      reason: { type: "string", maxLength: 200, optional: true },
+    },
+  },
+  leaveRoom: ROOM_REF,
+  toggleReady: {
+    type: "object",
+    fields: { ...ROOM_REF_FIELDS, isReady: { type: "boolean" } },
+  },
+  joinGameChannel: ROOM_REF,
+  requestActiveRooms: GAME_ID,
+  spectateRoom: ROOM_REF,
+  stopSpectating: ROOM_REF,
+  requestGameState: ROOM_REF,
+  endGame: ROOM_REF,
+  forceLeaveGame: ROOM_REF,
+  watchReplay: {
+    type: "object",
+    fields: {
+      replayId: { type: "string", minLength: 1, maxLength: 32 },
+      speed: {
+        type: "number",
+        min: MIN_REPLAY_SPEED,
+        max: MAX_REPLAY_SPEED,
+        optional: true,
+      },
+    },
+  },
+  stopReplay: { type: "any" },
+};
+
+module.exports = { MAX_CHAT_MESSAGE_LENGTH, EVENT_SCHEMAS };
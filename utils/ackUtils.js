@@ -0,0 +1,54 @@
+/************************************
+ * utils/ackUtils.js
+ ************************************/
+
+/**
+ * Error codes sent back in acknowledgements, so clients can show their
+ * own message instead of parsing `error` strings.
+ */
+const ERROR_CODES = {
+  UNKNOWN_GAME: "UNKNOWN_GAME",
+  ROOM_NOT_FOUND: "ROOM_NOT_FOUND",
+  ROOM_FULL: "ROOM_FULL",
+  ROOM_ACTIVE: "ROOM_ACTIVE",
+  ALREADY_IN_ROOM: "ALREADY_IN_ROOM",
+  WRONG_PASSWORD: "WRONG_PASSWORD",
+  INVALID_SETTINGS: "INVALID_SETTINGS",
+  NOT_IN_GAME: "NOT_IN_GAME",
+  NOT_YOUR_TURN: "NOT_YOUR_TURN",
+  INVALID_CARD: "INVALID_CARD",
+  CARD_NOT_IN_HAND: "CARD_NOT_IN_HAND",
+  INVALID_PAYLOAD: "INVALID_PAYLOAD",
+  NOT_IN_CHANNEL: "NOT_IN_CHANNEL",
+  RATE_LIMITED: "RATE_LIMITED",
+  MUTED: "MUTED",
+  NOT_ROOM_OWNER: "NOT_ROOM_OWNER",
+  MESSAGE_NOT_FOUND: "MESSAGE_NOT_FOUND",
+  ALREADY_REPORTED: "ALREADY_REPORTED",
+  USER_NOT_FOUND: "USER_NOT_FOUND",
+  BLOCKED: "BLOCKED",
+  INBOX_FULL: "INBOX_FULL",
+  REPLAY_NOT_FOUND: "REPLAY_NOT_FOUND",
+  NOT_ENOUGH_MASS: "NOT_ENOUGH_MASS",
+};
+
+/**
+ * Socket.io acks are optional on the client side; this always returns
+ * something callable.
+ */
+function toAck(callback) {
+  return typeof callback === "function" ? callback : () => {};
+}
+
+/**
+ * Reply to an ack with a structured error.
+ */
+function ackError(ack, code, error) {
+  ack({ success: false, code, error });
+}
+
+module.exports = {
+  ERROR_CODES,
+  toAck,
+  ackError,
+};
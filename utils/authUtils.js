@@ -0,0 +1,102 @@
+/************************************
+ * utils/authUtils.js
+ ************************************/
+const crypto = require("crypto");
+
+/** Key used to sign auth tokens. Set AUTH_SECRET so tokens survive restarts. */
+const AUTH_SECRET =
+  process.env.AUTH_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.AUTH_SECRET) {
+  console.log("[Server] AUTH_SECRET not set, tokens won't survive a restart");
+}
+
+/** How long an auth token is valid (ms) */
+const AUTH_TOKEN_TTL_MS =
+  Number(process.env.AUTH_TOKEN_TTL_MS) || 7 * 24 * 60 * 60 * 1000;
+
+const MAX_USER_NAME_LENGTH = 24;
+
+function sign(body) {
+  return crypto
+    .createHmac("sha256", AUTH_SECRET)
+    .update(body)
+    .digest("base64url");
+}
+
+/**
+ * Issue a signed token for a user: "<base64url JSON payload>.<HMAC>".
+ */
+function issueToken({ userId, userName }) {
+  const payload = {
+    sub: userId,
+    name: userName,
+    exp: Date.now() + AUTH_TOKEN_TTL_MS,
+  };
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${body}.${sign(body)}`;
+}
+
+/**
+ * Returns { userId, userName } for a valid, unexpired token, else null.
+ */
+function verifyToken(token) {
+  if (typeof token !== "string") return null;
+  const [body, signature] = token.split(".");
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch (err) {
+    return null;
+  }
+  if (!payload || typeof payload.exp !== "number" || payload.exp < Date.now()) {
+    return null;
+  }
+  return { userId: payload.sub, userName: payload.name };
+}
+
+/**
+ * Trimmed user name, or null if it's not acceptable.
+ */
+function normalizeUserName(userName) {
+  if (typeof userName !== "string") return null;
+  const name = userName.trim();
+  if (!name || name.length > MAX_USER_NAME_LENGTH) return null;
+  return name;
+}
+
+/**
+ * Socket.IO middleware: the client must connect with
+ * `auth: { token }`. The verified identity goes on socket.userId and
+ * socket.userName.
+ */
+function authenticateSocket(socket, next) {
+  const auth = socket.handshake.auth || {};
+  const identity = verifyToken(auth.token);
+  if (!identity) {
+    console.log(`[Server] Rejected unauthenticated socket ${socket.id}`);
+    next(new Error("unauthorized"));
+    return;
+  }
+  socket.userId = identity.userId;
+  socket.userName = identity.userName;
+  next();
+}
+
+module.exports = {
+  MAX_USER_NAME_LENGTH,
+  issueToken,
+  verifyToken,
+  normalizeUserName,
+  authenticateSocket,
+};
@@ -2,6 +2,92 @@
  * utils/cardsUtils.js
  ************************************/
 
+/**
+ * Cards are short string codes: rank followed by suit, e.g. "10H", "KS".
+ * Jokers are "JOKER" and outrank everything.
+ */
+const RANKS = [
+  "A",
+  "2",
+  "3",
+  "4",
+  "5",
+  "6",
+  "7",
+  "8",
+  "9",
+  "10",
+  "J",
+  "Q",
+  "K",
+];
+const SUITS = ["C", "D", "H", "S"]; // clubs < diamonds < hearts < spades
+const JOKER = "JOKER";
+const JOKERS_PER_DECK = 2;
+
+/**
+ * Build an unshuffled deck.
+ *
+ * @param {Object} options
+ * @param {number} options.decks - How many 52-card decks to combine.
+ * @param {boolean} options.jokers - Add JOKERS_PER_DECK jokers per deck.
+ */
+function createDeck({ decks = 1, jokers = false } = {}) {
+  const deck = [];
+  for (let d = 0; d < decks; d++) {
+    SUITS.forEach((suit) => {
+      RANKS.forEach((rank) => deck.push(`${rank}${suit}`));
+    });
+    if (jokers) {
+      for (let j = 0; j < JOKERS_PER_DECK; j++) deck.push(JOKER);
+    }
+  }
+  return deck;
+}
+
+/**
+ * Number of cards in one deck with these options.
+ */
+function cardsPerDeck(jokers) {
+  return RANKS.length * SUITS.length + (jokers ? JOKERS_PER_DECK : 0);
+}
+
+/**
+ * How many decks are needed to deal `handSize` cards to each player,
+ * never fewer than `minDecks`.
+ */
+function decksNeeded(playerCount, handSize, { minDecks = 1, jokers = false }) {
+  const perDeck = cardsPerDeck(jokers);
+  return Math.max(minDecks, Math.ceil((playerCount * handSize) / perDeck));
+}
+
+/**
+ * Split a card code into { rank, suit }, or null if it isn't a card.
+ */
+function parseCard(card) {
+  if (card === JOKER) return { rank: JOKER, suit: null };
+  if (typeof card !== "string") return null;
+
+  const rank = card.slice(0, -1);
+  const suit = card.slice(-1);
+  if (!RANKS.includes(rank) || !SUITS.includes(suit)) return null;
+  return { rank, suit };
+}
+
+function isValidCard(card) {
+  return parseCard(card) !== null;
+}
+
+/**
+ * A sortable value: by rank first, then suit. Jokers are highest.
+ */
+function cardValue(card) {
+  const parsed = parseCard(card);
+  if (!parsed) return -1;
+  if (parsed.rank === JOKER) return RANKS.length * SUITS.length;
+  return RANKS.indexOf(parsed.rank) * SUITS.length + SUITS.indexOf(parsed.suit);
+}
+
 function shuffleDeck(deck) {
   for (let i = deck.length - 1; i > 0; i--) {
     const j = Math.floor(Math.random() * (i + 1));
@@ -17,6 +103,15 @@ function getRandomCard(deck) {
 }
 
 module.exports = {
+  RANKS,
+  SUITS,
+  JOKER,
+  createDeck,
+  cardsPerDeck,
+  decksNeeded,
+  parseCard,
+  isValidCard,
+  cardValue,
   shuffleDeck,
   getRandomCard,
 };
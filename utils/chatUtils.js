@@ -0,0 +1,86 @@
+/************************************
+ * utils/chatUtils.js
+ ************************************/
+const crypto = require("crypto");
+
+/** Messages kept per chat channel, sent to clients when they join */
+const CHAT_HISTORY_SIZE = 50;
+
+/** Channels with history kept at once; the oldest are dropped first */
+const MAX_CHAT_CHANNELS = 1000;
+
+const CHAT_SCOPES = ["global", "game", "room"];
+
+// histories: channel key -> recent messages, oldest first
+const histories = new Map();
+
+/**
+ * The key for a chat scope ("global", "game:1", "room:1-abc123"), or
+ * null if the ids the scope needs are missing.
+ */
+function chatChannelKey(scope, gameId, roomId) {
+  if (scope === "global") return "global";
+  if (scope === "game" && gameId !== undefined) return `game:${gameId}`;
+  if (scope === "room" && gameId !== undefined && roomId !== undefined) {
+    return `room:${gameId}-${roomId}`;
+  }
+  return null;
+}
+
+/**
+ * A chat message as clients see it.
+ */
+function createChatMessage(socket, text, { scope, gameId, roomId }) {
+  return {
+    id: crypto.randomBytes(8).toString("hex"),
+    scope,
+    gameId,
+    roomId,
+    sender: { userId: socket.userId, userName: socket.userName },
+    timestamp: Date.now(),
+    text,
+  };
+}
+
+/**
+ * Append to a channel's history, keeping only the last CHAT_HISTORY_SIZE.
+ */
+function addToHistory(key, message) {
+  let history = histories.get(key);
+  if (!history) {
+    if (histories.size >= MAX_CHAT_CHANNELS) {
+      histories.delete(histories.keys().next().value);
+    }
+    history = [];
+    histories.set(key, history);
+  }
+  history.push(message);
+  if (history.length > CHAT_HISTORY_SIZE) {
+    history.splice(0, history.length - CHAT_HISTORY_SIZE);
+  }
+}
+
+function getHistory(key) {
+  return histories.get(key) || [];
+}
+
+/**
+ * Look a message up by id in the recent history of every channel.
+ */
+function findMessage(messageId) {
+  for (const history of histories.values()) {
+    const message = history.find((m) => m.id === messageId);
+    if (message) return message;
+  }
+  return null;
+}
+
+module.exports = {
+  CHAT_HISTORY_SIZE,
+  CHAT_SCOPES,
+  chatChannelKey,
+  createChatMessage,
+  addToHistory,
+  getHistory,
+  findMessage,
+};
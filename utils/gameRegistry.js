@@ -1,97 +1,312 @@
 /************************************
  * utils/gameRegistry.js
  ************************************/
+const fs = require("fs");
+const path = require("path");
+const { ROOM_REF_FIELDS } = require("./validationUtils");
+const { startReplay } = require("./replayUtils");
+const { ERROR_CODES, ackError } = require("./ackUtils");
 
-const games = {};
+const GAMES_DIR = path.join(__dirname, "..", "sockets", "games");
 
-function loadGameModule(gameId) {
-  switch (gameId) {
-    case 1:
-      // Biggest Tomato
-      if (!games.biggestTomato) {
-        games.biggestTomato = require("../sockets/games/biggestTomato");
+// Registered game definitions, keyed by numeric game id
+const registry = new Map();
+let modulesLoaded = false;
+
+/**
+ * Register a game definition. Each game module under sockets/games/
+ * exports one of these:
+ *
+ *   {
+ *     id, name, minPlayers, maxPlayers, countdownSeconds,
+ *     options: { optionName: { type, default, min, max } },
+ *     start(game, room, games),
+ *     broadcast(io, gameId, roomId, room),
+ *     end(game, room, games),
+ *     rebindPlayer(room, oldSocketId, newSocketId),   // optional
+ *     playerDisconnected(room, player),               // optional
+ *     resync(room, socketId),                         // optional
+ *     playerLeft(game, room, player, index, games),   // optional
+ *     events: { eventName(io, games, socket, data, ack) },
+ *     schemas: { eventName: { field: spec } }   // payload fields, optional
+ *   }
+ *
+ * Every game event payload carries gameId and roomId; `schemas` only
+ * lists the event's own fields (see utils/validationUtils.js).
+ */
+function registerGame(definition) {
+  if (!definition || typeof definition.id !== "number") {
+    throw new Error("Game definition must have a numeric id");
+  }
+  if (registry.has(definition.id)) {
+    throw new Error(`Game ID ${definition.id} is already registered`);
+  }
+  ["start", "broadcast", "end"].forEach((hook) => {
+    if (typeof definition[hook] !== "function") {
+      throw new Error(
+        `Game ID ${definition.id} is missing the "${hook}" lifecycle hook`
+      );
+    }
+  });
+
+  registry.set(definition.id, {
+    name: `Game ${definition.id}`,
+    minPlayers: 1,
+    maxPlayers: 4,
+    countdownSeconds: 10,
+    options: {},
+    events: {},
+    schemas: {},
+    ...definition,
+  });
+  console.log(
+    `[Server] Registered game id=${definition.id} (${definition.name})`
+  );
+}
+
+/**
+ * Require every module in sockets/games/ once. Loading lazily keeps the
+ * game modules free to require utils without a circular import.
+ */
+function loadGameModules() {
+  if (modulesLoaded) return;
+  modulesLoaded = true;
+
+  fs.readdirSync(GAMES_DIR)
+    .filter((file) => file.endsWith(".js"))
+    .sort()
+    .forEach((file) => {
+      const gameModule = require(path.join(GAMES_DIR, file));
+      if (gameModule && typeof gameModule.id === "number") {
+        registerGame(gameModule);
       }
-      return games.biggestTomato;
+    });
+}
 
-    case 2:
-      // Agar.io
-      if (!games.agarIo) {
-        games.agarIo = require("../sockets/games/agarIo.js");
+/**
+ * Look up a game definition by id (number or numeric string).
+ */
+function getGameModule(gameId) {
+  loadGameModules();
+  return registry.get(parseInt(gameId, 10)) || null;
+}
+
+function loadGameModule(gameId) {
+  const gameModule = getGameModule(gameId);
+  if (!gameModule) {
+    throw new Error(`Game ID ${gameId} not recognized`);
+  }
+  return gameModule;
+}
+
+/**
+ * All registered game definitions.
+ */
+function listGames() {
+  loadGameModules();
+  return Array.from(registry.values()).sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Validate client-supplied room options against the game's declared
+ * options, filling in defaults. Returns { options } or { error }.
+ */
+function resolveGameOptions(gameModule, requested = {}) {
+  if (typeof requested !== "object" || requested === null) {
+    return { error: "Invalid room options." };
+  }
+
+  const options = {};
+  for (const [key, spec] of Object.entries(gameModule.options)) {
+    const value = requested[key];
+    if (value === undefined) {
+      options[key] = spec.default;
+      continue;
+    }
+
+    if (spec.type === "boolean") {
+      if (typeof value !== "boolean") {
+        return { error: `Option "${key}" must be true or false.` };
       }
-      return games.agarIo;
+    } else if (
+      !Number.isInteger(value) ||
+      value < spec.min ||
+      value > spec.max
+    ) {
+      return {
+        error: `Option "${key}" must be a whole number from ${spec.min} to ${spec.max}.`,
+      };
+    }
+    options[key] = value;
+  }
 
-    default:
-      throw new Error(`Game ID ${gameId} not recognized`);
+  const unknown = Object.keys(requested).find(
+    (key) => !Object.prototype.hasOwnProperty.call(gameModule.options, key)
+  );
+  if (unknown) {
+    return { error: `Unknown option "${unknown}".` };
   }
+  return { options };
+}
+
+/**
+ * Every socket event name handled by at least one game.
+ */
+function getGameEvents() {
+  const events = new Set();
+  listGames().forEach((gameModule) => {
+    Object.keys(gameModule.events).forEach((event) => events.add(event));
+  });
+  return Array.from(events);
 }
 
 /**
  * Called after the countdown finishes. Each game
- * module's “startGame” logic is triggered.
+ * module's “start” hook is triggered.
  */
-function initializeGame(gameId, game, room, io) {
-  const gameIdNumber = parseInt(gameId, 10);
-  const gameModule = loadGameModule(gameIdNumber);
-
-  // For demonstration, each game has a “startXxxRoom”
-  switch (gameIdNumber) {
-    case 1: // Biggest Tomato
-      console.log("initializeGame -> biggestTomato.startBiggestTomatoRoom");
-      gameModule.startBiggestTomatoRoom(game, room);
-      // Immediately broadcast the initial state
-      gameModule.broadcastGameState(io, gameId, room.id, room);
-      return;
-
-    case 2: // Agar.io clone
-      console.log("initializeGame -> agarIo.startAgarIoRoom");
-      gameModule.startAgarIoRoom(game, room, games);
-      // Immediately broadcast the initial state
-      gameModule.broadcastGameState(io, gameId, room.id, room);
-      return;
-
-    default:
-      throw new Error(`Game ID ${gameId} not recognized`);
-  }
+function initializeGame(gameId, game, room, io, games) {
+  const gameModule = loadGameModule(gameId);
+
+  // The game hooks broadcast through these
+  game.io = io;
+  game.id = gameId;
+  room.startedAt = Date.now();
+  // Who started, so players who leave early still count in the record
+  room.roster = room.players.map(({ userId, userName }) => ({
+    userId,
+    userName,
+  }));
+  startReplay(room);
+
+  console.log(`initializeGame -> ${gameModule.name}.start`);
+  gameModule.start(game, room, games);
+  // Immediately broadcast the initial state
+  gameModule.broadcast(io, gameId, room.id, room);
 }
 
 /**
  * Generic function to broadcast game state for a given room.
  */
 function broadcastGameState(gameId, io, room) {
-  const gameIdNumber = parseInt(gameId, 10);
-  const gameModule = loadGameModule(gameIdNumber);
-
-  if (typeof gameModule.broadcastGameState === "function") {
-    gameModule.broadcastGameState(io, gameId, room.id, room);
-  }
+  const gameModule = loadGameModule(gameId);
+  gameModule.broadcast(io, gameId, room.id, room);
 }
 
 /**
  * Generic function to end a game (cleanup).
  */
 function endGame(gameId, game, room, games) {
-  const gameIdNumber = parseInt(gameId, 10);
-  const gameModule = loadGameModule(gameIdNumber);
-
-  // Each game has its own cleanup method:
-  // Agar.io => endAgarIoRoom
-  // BiggestTomato => endBiggestTomatoRoom
-  if (gameIdNumber === 2 && typeof gameModule.endAgarIoRoom === "function") {
-    // Agar.io
-    gameModule.endAgarIoRoom(game, room, games);
-  } else if (
-    gameIdNumber === 1 &&
-    typeof gameModule.endBiggestTomatoRoom === "function"
-  ) {
-    // Biggest Tomato
-    gameModule.endBiggestTomatoRoom(game, room, games);
-  } else {
-    console.log(`No specific endGame function found for gameId=${gameId}`);
+  const gameModule = loadGameModule(gameId);
+  gameModule.end(game, room, games);
+}
+
+/**
+ * Move a seated player onto a new socket (after a reconnect). The generic
+ * part lives here; games with their own socketId-keyed state add a
+ * rebindPlayer hook.
+ */
+function rebindPlayer(gameId, room, oldSocketId, newSocketId) {
+  const gameModule = loadGameModule(gameId);
+  const player = room.players.find((p) => p.socketId === oldSocketId);
+  if (!player) return null;
+
+  player.socketId = newSocketId;
+  player.disconnected = false;
+  if (typeof gameModule.rebindPlayer === "function") {
+    gameModule.rebindPlayer(room, oldSocketId, newSocketId);
+  }
+  return player;
+}
+
+/**
+ * A seated player's socket dropped; they keep the seat for the reconnect
+ * grace period. Games that act on held input stop it here through their
+ * playerDisconnected hook.
+ */
+function disconnectPlayer(gameId, room, player) {
+  const gameModule = loadGameModule(gameId);
+  player.disconnected = true;
+  if (typeof gameModule.playerDisconnected === "function") {
+    gameModule.playerDisconnected(room, player);
+  }
+}
+
+/**
+ * Take a player out of an ACTIVE room for good (left, or never came back
+ * from a disconnect). The player is removed from room.players, then the
+ * game's playerLeft hook gets the player and the index they sat at so it
+ * can fix up turn order and the like.
+ */
+function removePlayer(gameId, game, room, socketId, games) {
+  const gameModule = loadGameModule(gameId);
+  const index = room.players.findIndex((p) => p.socketId === socketId);
+  if (index === -1) return null;
+
+  const [player] = room.players.splice(index, 1);
+  if (typeof gameModule.playerLeft === "function") {
+    gameModule.playerLeft(game, room, player, index, games);
+  }
+  return player;
+}
+
+/**
+ * The socket (re)joined the room and needs the full state on the
+ * next broadcast rather than an incremental update.
+ */
+function resyncGameState(gameId, room, socketId) {
+  const gameModule = getGameModule(gameId);
+  if (gameModule && typeof gameModule.resync === "function") {
+    gameModule.resync(room, socketId);
+  }
+}
+
+/**
+ * Payload schema for a game event sent to `gameId`: gameId and roomId,
+ * plus whatever fields that game declares for the event.
+ */
+function getGameEventSchema(event, gameId) {
+  const gameModule = getGameModule(gameId);
+  const fields = (gameModule && gameModule.schemas[event]) || {};
+  return { type: "object", fields: { ...ROOM_REF_FIELDS, ...fields } };
+}
+
+/**
+ * Route a game socket event to the module registered for data.gameId.
+ * `data` has already been validated against getGameEventSchema(), and
+ * `ack` is the (always callable) acknowledgement for the event.
+ * Returns false (after an UNKNOWN_GAME ack) if that game doesn't handle
+ * the event.
+ */
+function dispatchGameEvent(event, io, games, socket, data, ack) {
+  const gameModule = getGameModule(data.gameId);
+  if (!gameModule || typeof gameModule.events[event] !== "function") {
+    console.log(
+      `[Server] ${event} -> no handler for gameId=${data.gameId}, ignoring`
+    );
+    ackError(
+      ack,
+      ERROR_CODES.UNKNOWN_GAME,
+      `That game doesn't handle ${event}.`
+    );
+    return false;
   }
+  gameModule.events[event](io, games, socket, data, ack);
+  return true;
 }
 
 module.exports = {
+  registerGame,
+  getGameModule,
+  listGames,
+  resolveGameOptions,
+  getGameEvents,
+  getGameEventSchema,
   initializeGame,
   broadcastGameState,
   endGame,
+  rebindPlayer,
+  disconnectPlayer,
+  removePlayer,
+  resyncGameState,
+  dispatchGameEvent,
 };
@@ -2,7 +2,15 @@
  * utils/gameUtils.js
  ************************************/
 
-const { initializeGame } = require("./gameRegistry");
+const {
+  initializeGame,
+  getGameModule,
+  resolveGameOptions,
+} = require("./gameRegistry");
+
+/** Limits for player-created rooms */
+const MAX_ROOM_NAME_LENGTH = 32;
+const MAX_ROOM_PASSWORD_LENGTH = 64;
 
 function generateRoomId() {
   return Math.random().toString(36).substring(2, 9);
@@ -11,29 +19,44 @@ function generateRoomId() {
 /**
  * Returns the game object, ensuring it has
  *  { rooms: {}, activeRooms: {} }
+ * Both maps are prototype-less, so a client-supplied roomId like
+ * "constructor" can never resolve to an inherited member.
  */
 function getGame(gameId, games) {
   if (!games) {
     return null;
   }
   if (!games[gameId]) {
-    games[gameId] = { rooms: {}, activeRooms: {} };
+    games[gameId] = {
+      rooms: Object.create(null),
+      activeRooms: Object.create(null),
+    };
   }
   // Ensure activeRooms always exists
   if (!games[gameId].activeRooms) {
-    games[gameId].activeRooms = {};
+    games[gameId].activeRooms = Object.create(null);
   }
   return games[gameId];
 }
 
 /**
  * Ensure there's exactly one empty (lobby) room for the given game.
+ * Player-created rooms don't count, and are removed once empty.
  */
 function ensureSingleEmptyRoom(gameId, games, io) {
   const game = getGame(gameId, games);
   const roomsList = Object.values(game.rooms);
 
-  const emptyRooms = roomsList.filter((room) => room.players.length === 0);
+  roomsList
+    .filter((room) => room.isCustom && room.players.length === 0)
+    .forEach((room) => {
+      delete game.rooms[room.id];
+      updateRoomCountForEveryone(gameId, games, io);
+    });
+
+  const emptyRooms = roomsList.filter(
+    (room) => !room.isCustom && room.players.length === 0
+  );
 
   // Remove extra empty rooms if more than 1
   while (emptyRooms.length > 1) {
@@ -44,17 +67,101 @@ function ensureSingleEmptyRoom(gameId, games, io) {
 
   // If no empty room, create one
   if (emptyRooms.length === 0) {
+    const gameModule = getGameModule(gameId);
     const newRoomId = generateRoomId();
     game.rooms[newRoomId] = {
       id: newRoomId,
       name: `Room ${newRoomId}`,
-      maxPlayers: 4,
+      maxPlayers: gameModule ? gameModule.maxPlayers : 4,
+      password: null,
+      options: gameModule ? resolveGameOptions(gameModule).options : {},
       players: [],
       isActive: false,
     };
   }
 }
 
+/**
+ * Create a player-configured lobby room.
+ *
+ * @param {Object} settings - { name, maxPlayers, password, options }
+ * @returns {Object} { room } or { error }
+ */
+function createRoom(gameId, games, settings = {}) {
+  const gameModule = getGameModule(gameId);
+  if (!gameModule) {
+    return { error: "Unknown game." };
+  }
+
+  const { name, maxPlayers, password, options } = settings;
+  const roomName = typeof name === "string" ? name.trim() : "";
+  if (!roomName || roomName.length > MAX_ROOM_NAME_LENGTH) {
+    return {
+      error: `Room name must be 1-${MAX_ROOM_NAME_LENGTH} characters.`,
+    };
+  }
+
+  const roomMaxPlayers =
+    maxPlayers === undefined ? gameModule.maxPlayers : maxPlayers;
+  if (
+    !Number.isInteger(roomMaxPlayers) ||
+    roomMaxPlayers < gameModule.minPlayers ||
+    roomMaxPlayers > gameModule.maxPlayers
+  ) {
+    return {
+      error: `Max players must be from ${gameModule.minPlayers} to ${gameModule.maxPlayers}.`,
+    };
+  }
+
+  if (
+    password !== undefined &&
+    password !== null &&
+    (typeof password !== "string" || password.length > MAX_ROOM_PASSWORD_LENGTH)
+  ) {
+    return { error: "Invalid room password." };
+  }
+
+  const resolved = resolveGameOptions(gameModule, options);
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+
+  const game = getGame(gameId, games);
+  const roomId = generateRoomId();
+  const room = {
+    id: roomId,
+    name: roomName,
+    maxPlayers: roomMaxPlayers,
+    password: password || null,
+    options: resolved.options,
+    players: [],
+    isActive: false,
+    isCustom: true,
+  };
+  game.rooms[roomId] = room;
+  return { room };
+}
+
+/**
+ * The public view of a lobby room (never includes the password).
+ */
+function serializeRoom(room) {
+  return {
+    id: room.id,
+    name: room.name,
+    maxPlayers: room.maxPlayers,
+    hasPassword: !!room.password,
+    options: room.options || {},
+    players: room.players.map((p) => ({
+      socketId: p.socketId,
+      userName: p.userName,
+      isReady: p.isReady,
+    })),
+    isActive: room.isActive,
+    spectatorCount: room.spectators ? room.spectators.length : 0,
+  };
+}
+
 function updateRoomCountForSingleUser(gameId, socket, games, io) {
   const game = getGame(gameId, games);
   const roomsCount = Object.values(game.rooms).length;
@@ -75,41 +182,51 @@ function broadcastRooms(gameId, games, io) {
   if (!game) {
     return;
   }
-  const roomsArray = Object.values(game.rooms);
+  const roomsArray = Object.values(game.rooms).map(serializeRoom);
   updateRoomCountForEveryone(gameId, games, io);
   io.to(gameId).emit("roomsList", roomsArray);
 }
 
 /**
- * Checks if ALL players in a room are ready
+ * Checks if ALL players in a room are ready (and there are enough of them)
  */
-function allPlayersReady(room) {
+function allPlayersReady(room, minPlayers = 1) {
   if (room.players.length === 0) return false;
+  if (room.players.length < minPlayers) return false;
   return room.players.every((p) => p.isReady);
 }
 
 /**
- * Start a 10-second countdown, then
+ * Start the room's countdown (the game's `countdownSeconds`), then
  * 1) Move the room from game.rooms -> game.activeRooms
  * 2) Call initializeGame()
+ *
+ * The countdown is stored on the room as `room.countdown`; a room only
+ * ever has one running.
  */
 function startCountdown(gameId, roomId, games, io) {
   const uniqueRoomChannel = `${gameId}-${roomId}`;
-  let countdown = 10;
+  const game = getGame(gameId, games);
+  const room = game.rooms[roomId];
+  if (!room || room.countdown) return;
+
+  const gameModule = getGameModule(gameId);
+  let countdown = gameModule ? gameModule.countdownSeconds : 10;
 
   console.log(
-    `[Server] startCountdown -> Starting countdown for room ${uniqueRoomChannel}`
+    `[Server] startCountdown -> Starting ${countdown}s countdown for room ${uniqueRoomChannel}`
   );
 
   const intervalId = setInterval(() => {
     countdown--;
+    room.countdown.remaining = countdown;
     console.log(`[Server] countdown: ${countdown}`);
     io.to(uniqueRoomChannel).emit("countdownUpdate", { roomId, countdown });
 
     if (countdown === 0) {
       clearInterval(intervalId);
+      room.countdown = null;
 
-      const game = getGame(gameId, games);
       const lobbyRoom = game.rooms[roomId];
       if (lobbyRoom) {
         // Mark the room as active
@@ -126,19 +243,60 @@ function startCountdown(gameId, roomId, games, io) {
         );
 
         // Actually initialize the game (deal cards, etc.)
-        initializeGame(gameId, game, lobbyRoom, io);
+        initializeGame(gameId, game, lobbyRoom, io, games);
       }
     }
   }, 1000);
+
+  room.countdown = { intervalId, remaining: countdown };
+}
+
+/**
+ * Stop the room's countdown, if one is running, and tell the room why.
+ */
+function cancelCountdown(gameId, room, io, reason) {
+  if (!room || !room.countdown) return;
+
+  clearInterval(room.countdown.intervalId);
+  room.countdown = null;
+  io.to(`${gameId}-${room.id}`).emit("countdownCancelled", {
+    roomId: room.id,
+    reason,
+  });
+  console.log(
+    `[Server] cancelCountdown -> roomId=${room.id} in gameId=${gameId} (${reason})`
+  );
+}
+
+/**
+ * Start or cancel the room's countdown to match its readiness:
+ * it runs only while enough players are in and all of them are ready.
+ */
+function syncCountdown(gameId, room, games, io) {
+  if (!room) return;
+
+  const gameModule = getGameModule(gameId);
+  const minPlayers = gameModule ? gameModule.minPlayers : 1;
+  if (allPlayersReady(room, minPlayers)) {
+    startCountdown(gameId, room.id, games, io);
+  } else {
+    cancelCountdown(gameId, room, io, "notReady");
+  }
 }
 
 module.exports = {
+  MAX_ROOM_NAME_LENGTH,
+  MAX_ROOM_PASSWORD_LENGTH,
   generateRoomId,
   getGame,
   ensureSingleEmptyRoom,
+  createRoom,
+  serializeRoom,
   updateRoomCountForSingleUser,
   updateRoomCountForEveryone,
   broadcastRooms,
   allPlayersReady,
   startCountdown,
+  cancelCountdown,
+  syncCountdown,
 };
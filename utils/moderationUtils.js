@@ -0,0 +1,98 @@
+/************************************
+ * utils/moderationUtils.js
+ ************************************/
+
+/** Chat rate limit: at most CHAT_RATE_LIMIT messages per window, per user */
+const CHAT_RATE_LIMIT = Number(process.env.CHAT_RATE_LIMIT) || 5;
+const CHAT_RATE_WINDOW_MS = Number(process.env.CHAT_RATE_WINDOW_MS) || 10000;
+
+/** Words masked out of chat, from a comma-separated CHAT_BLOCKED_WORDS */
+const BLOCKED_WORDS = (process.env.CHAT_BLOCKED_WORDS || "")
+  .split(",")
+  .map((word) => word.trim().toLowerCase())
+  .filter(Boolean);
+
+const blockedPattern =
+  BLOCKED_WORDS.length > 0
+    ? new RegExp(
+        `\\b(${BLOCKED_WORDS.map((w) =>
+          w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+        ).join("|")})\\b`,
+        "gi"
+      )
+    : null;
+
+// recentSends: userId -> timestamps of messages inside the current window
+const recentSends = new Map();
+// personalMutes: userId -> Set of userIds whose messages they don't see
+const personalMutes = new Map();
+// roomMutes: chat channel key -> Set of userIds who can't post there
+const roomMutes = new Map();
+
+/**
+ * Count a message against the user's rate limit. Returns true if they're
+ * over it (and the message should be refused).
+ */
+function isRateLimited(userId, now = Date.now()) {
+  const sends = (recentSends.get(userId) || []).filter(
+    (time) => now - time < CHAT_RATE_WINDOW_MS
+  );
+  if (sends.length >= CHAT_RATE_LIMIT) {
+    recentSends.set(userId, sends);
+    return true;
+  }
+  sends.push(now);
+  recentSends.set(userId, sends);
+  return false;
+}
+
+/**
+ * Replace every blocked word with asterisks of the same length.
+ */
+function maskBlockedWords(text) {
+  if (!blockedPattern) return text;
+  return text.replace(blockedPattern, (word) => "*".repeat(word.length));
+}
+
+function setMuted(mutes, key, userId, muted) {
+  if (!mutes.has(key)) mutes.set(key, new Set());
+  const set = mutes.get(key);
+  if (muted) set.add(userId);
+  else set.delete(userId);
+  if (set.size === 0) mutes.delete(key);
+}
+
+/**
+ * `userId` stops (or resumes) seeing messages from `targetUserId`.
+ */
+function setPersonalMute(userId, targetUserId, muted) {
+  setMuted(personalMutes, userId, targetUserId, muted);
+}
+
+function hasMuted(userId, senderUserId) {
+  const set = personalMutes.get(userId);
+  return !!set && set.has(senderUserId);
+}
+
+/**
+ * Silence (or un-silence) `userId` in one chat channel.
+ */
+function setRoomMute(channelKey, userId, muted) {
+  setMuted(roomMutes, channelKey, userId, muted);
+}
+
+function isMutedIn(channelKey, userId) {
+  const set = roomMutes.get(channelKey);
+  return !!set && set.has(userId);
+}
+
+module.exports = {
+  CHAT_RATE_LIMIT,
+  CHAT_RATE_WINDOW_MS,
+  isRateLimited,
+  maskBlockedWords,
+  setPersonalMute,
+  hasMuted,
+  setRoomMute,
+  isMutedIn,
+};
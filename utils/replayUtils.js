@@ -0,0 +1,196 @@
+/************************************
+ * utils/replayUtils.js
+ ************************************/
+const { saveReplay } = require("../models/replayModel");
+
+/** Recording stops after this many timeline entries */
+const MAX_REPLAY_ENTRIES = 5000;
+
+/** Playback speeds a client may ask for */
+const MIN_REPLAY_SPEED = 0.25;
+const MAX_REPLAY_SPEED = 16;
+
+/**
+ * Begin recording the room's timeline (called as the game starts).
+ */
+function startReplay(room) {
+  room.replay = {
+    startedAt: Date.now(),
+    timeline: [],
+    lastFrameAt: {},
+    // event -> key -> Map(id -> item) as of the last recorded frame
+    deltaState: {},
+    truncated: false,
+  };
+}
+
+function pushEntry(room, entry) {
+  const replay = room.replay;
+  if (replay.timeline.length >= MAX_REPLAY_ENTRIES) {
+    replay.truncated = true;
+    return;
+  }
+  replay.timeline.push({ t: Date.now() - replay.startedAt, ...entry });
+}
+
+/**
+ * Changes to an array of `{ id }` items since the last recorded frame:
+ * { added: [items], removed: [ids] }. Updates `previous` to match.
+ */
+function diffById(previous, items) {
+  const added = [];
+  const seen = new Set();
+  items.forEach((item) => {
+    seen.add(item.id);
+    if (!previous.has(item.id)) {
+      previous.set(item.id, item);
+      added.push(item);
+    }
+  });
+  const removed = [];
+  previous.forEach((item, id) => {
+    if (!seen.has(id)) {
+      previous.delete(id);
+      removed.push(id);
+    }
+  });
+  return { added, removed };
+}
+
+/**
+ * Record an event the way clients receive it, e.g. a spectator-safe
+ * `gameStateUpdate`. With `minIntervalMs`, frames of the same event
+ * closer together than that are skipped (for games that broadcast many
+ * times a second). `deltaKeys` name arrays of `{ id }` items that rarely
+ * change (e.g. pellets): they're stored as `deltas` against the previous
+ * frame, and rebuilt in full on playback.
+ */
+function recordReplayFrame(
+  room,
+  event,
+  payload,
+  { minIntervalMs = 0, deltaKeys = [] } = {}
+) {
+  const replay = room.replay;
+  if (!replay) return;
+
+  const now = Date.now();
+  const last = replay.lastFrameAt[event];
+  if (minIntervalMs > 0 && last !== undefined && now - last < minIntervalMs) {
+    return;
+  }
+  replay.lastFrameAt[event] = now;
+
+  if (deltaKeys.length === 0) {
+    pushEntry(room, { event, payload: structuredClone(payload) });
+    return;
+  }
+
+  const state = replay.deltaState[event] || (replay.deltaState[event] = {});
+  const rest = { ...payload };
+  const deltas = {};
+  deltaKeys.forEach((key) => {
+    if (!state[key]) state[key] = new Map();
+    deltas[key] = diffById(state[key], payload[key] || []);
+    delete rest[key];
+  });
+  pushEntry(room, {
+    event,
+    payload: structuredClone(rest),
+    deltas: structuredClone(deltas),
+  });
+}
+
+/**
+ * Record an accepted player input, e.g. { event: "playCard", ... }.
+ */
+function recordReplayInput(room, input) {
+  if (!room.replay) return;
+  pushEntry(room, { input: structuredClone(input) });
+}
+
+/**
+ * Stop recording and write the replay under the finished match's id.
+ */
+function finishReplay(room, match) {
+  const replay = room.replay;
+  if (!replay) return;
+  room.replay = null;
+
+  saveReplay({
+    id: match.id,
+    gameId: match.gameId,
+    roomId: room.id,
+    players: match.players,
+    winner: match.winner,
+    startedAt: replay.startedAt,
+    durationMs: Date.now() - replay.startedAt,
+    truncated: replay.truncated,
+    timeline: replay.timeline,
+  });
+}
+
+/**
+ * Stream a replay to one socket: every recorded frame is emitted under
+ * its original event name (plus `replayId`), and every input as
+ * `replayInput`, spaced out as they were recorded divided by `speed`.
+ * Ends with `replayEnded`. Returns a function that stops playback.
+ */
+function playReplay(socket, replay, speed = 1) {
+  let index = 0;
+  let timer = null;
+  // event -> key -> Map(id -> item), rebuilt from frames' `deltas`
+  const deltaState = {};
+
+  const framePayload = (entry) => {
+    const payload = { ...entry.payload, replayId: replay.id };
+    if (!entry.deltas) return payload;
+
+    const state = deltaState[entry.event] || (deltaState[entry.event] = {});
+    Object.entries(entry.deltas).forEach(([key, { added, removed }]) => {
+      if (!state[key]) state[key] = new Map();
+      removed.forEach((id) => state[key].delete(id));
+      added.forEach((item) => state[key].set(item.id, item));
+      payload[key] = Array.from(state[key].values());
+    });
+    return payload;
+  };
+
+  const step = () => {
+    const entry = replay.timeline[index++];
+    if (entry.input) {
+      socket.emit("replayInput", { replayId: replay.id, ...entry.input });
+    } else {
+      socket.emit(entry.event, framePayload(entry));
+    }
+
+    if (index >= replay.timeline.length) {
+      timer = null;
+      socket.emit("replayEnded", { replayId: replay.id });
+      return;
+    }
+    const wait = (replay.timeline[index].t - entry.t) / speed;
+    timer = setTimeout(step, Math.max(0, wait));
+  };
+
+  if (replay.timeline.length === 0) {
+    socket.emit("replayEnded", { replayId: replay.id });
+  } else {
+    timer = setTimeout(step, 0);
+  }
+
+  return () => {
+    if (timer) clearTimeout(timer);
+    timer = null;
+  };
+}
+
+module.exports = {
+  MIN_REPLAY_SPEED,
+  MAX_REPLAY_SPEED,
+  startReplay,
+  recordReplayFrame,
+  recordReplayInput,
+  finishReplay,
+  playReplay,
+};
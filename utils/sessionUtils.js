@@ -0,0 +1,87 @@
+/************************************
+ * utils/sessionUtils.js
+ ************************************/
+const crypto = require("crypto");
+
+/** How long a dropped player keeps their seat (ms) */
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 30000;
+
+// sessions: token -> { token, socketId, userId, userName, graceTimer }
+const sessions = new Map();
+
+/**
+ * Returns the socket's session, issuing a new token if it has none yet.
+ */
+function ensureSession(socket) {
+  const existing = socket.sessionToken && sessions.get(socket.sessionToken);
+  if (existing) {
+    existing.userName = socket.userName || existing.userName;
+    return existing;
+  }
+
+  const token = crypto.randomBytes(24).toString("hex");
+  const session = {
+    token,
+    socketId: socket.id,
+    userId: socket.userId,
+    userName: socket.userName || "Unknown",
+    graceTimer: null,
+  };
+  sessions.set(token, session);
+  socket.sessionToken = token;
+  console.log(`[Server] Issued session for socketId=${socket.id}`);
+  return session;
+}
+
+function getSession(token) {
+  return sessions.get(token) || null;
+}
+
+/**
+ * Keep the session alive for RECONNECT_GRACE_MS after its socket drops.
+ * If nobody resumes it in time, the session is discarded and onExpire runs.
+ */
+function startGracePeriod(session, onExpire) {
+  if (session.graceTimer) {
+    clearTimeout(session.graceTimer);
+  }
+  session.graceTimer = setTimeout(() => {
+    session.graceTimer = null;
+    sessions.delete(session.token);
+    console.log(
+      `[Server] Session grace period expired for socketId=${session.socketId}`
+    );
+    onExpire(session);
+  }, RECONNECT_GRACE_MS);
+}
+
+/**
+ * Re-bind a session to a new socket of the same user.
+ * Returns { session, previousSocketId }, or null if the token is unknown
+ * or belongs to someone else.
+ */
+function resumeSession(token, socket) {
+  const session = typeof token === "string" ? sessions.get(token) : null;
+  if (!session || session.userId !== socket.userId) return null;
+
+  if (session.graceTimer) {
+    clearTimeout(session.graceTimer);
+    session.graceTimer = null;
+  }
+
+  const previousSocketId = session.socketId;
+  session.socketId = socket.id;
+  socket.sessionToken = token;
+  console.log(
+    `[Server] Resumed session ${previousSocketId} -> socketId=${socket.id}`
+  );
+  return { session, previousSocketId };
+}
+
+module.exports = {
+  RECONNECT_GRACE_MS,
+  ensureSession,
+  getSession,
+  startGracePeriod,
+  resumeSession,
+};
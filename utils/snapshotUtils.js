@@ -0,0 +1,145 @@
+/************************************
+ * utils/snapshotUtils.js
+ ************************************/
+
+/** Send a full keyframe at least this often (in snapshots) */
+const KEYFRAME_INTERVAL = 90;
+/** How many unacknowledged snapshots we remember per client */
+const MAX_PENDING_SNAPSHOTS = 60;
+
+/**
+ * Create a snapshot tracker for one room.
+ *
+ * @param {Object} idKeys - Entity collections and the field that identifies
+ *   an entity in each, e.g. { players: "socketId", bullets: "id" }.
+ */
+function createSnapshotTracker(idKeys) {
+  return {
+    idKeys,
+    tick: 0,
+    // clients: socketId -> { sent: Map(tick -> view), ackedTick, keyframeTick }
+    clients: new Map(),
+  };
+}
+
+/**
+ * Start a new snapshot. Returns its tick number.
+ */
+function nextSnapshotTick(tracker) {
+  tracker.tick++;
+  return tracker.tick;
+}
+
+function indexView(tracker, view) {
+  const indexed = {};
+  Object.entries(tracker.idKeys).forEach(([collection, idKey]) => {
+    const byId = new Map();
+    (view[collection] || []).forEach((entity) => {
+      byId.set(entity[idKey], entity);
+    });
+    indexed[collection] = byId;
+  });
+  return indexed;
+}
+
+function entityChanged(a, b) {
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return true;
+  return keys.some((key) => a[key] !== b[key]);
+}
+
+/**
+ * Encode this client's view for the current tick.
+ *
+ * Returns either a keyframe
+ *   { keyframe: true, tick, players: [...], bullets: [...] }
+ * or a delta against the last snapshot the client acknowledged
+ *   { keyframe: false, tick, baseTick,
+ *     players: { updated: [...], removed: [ids] }, bullets: {...} }
+ */
+function encodeSnapshot(tracker, socketId, view) {
+  const { tick } = tracker;
+  let client = tracker.clients.get(socketId);
+  if (!client) {
+    client = { sent: new Map(), ackedTick: null, keyframeTick: null };
+    tracker.clients.set(socketId, client);
+  }
+
+  const indexed = indexView(tracker, view);
+  client.sent.set(tick, indexed);
+  if (client.sent.size > MAX_PENDING_SNAPSHOTS) {
+    client.sent.delete(client.sent.keys().next().value);
+  }
+
+  const base =
+    client.ackedTick !== null ? client.sent.get(client.ackedTick) : null;
+  const keyframeDue =
+    client.keyframeTick === null ||
+    tick - client.keyframeTick >= KEYFRAME_INTERVAL;
+
+  if (!base || keyframeDue) {
+    client.keyframeTick = tick;
+    return { keyframe: true, tick, ...view };
+  }
+
+  const delta = { keyframe: false, tick, baseTick: client.ackedTick };
+  Object.keys(tracker.idKeys).forEach((collection) => {
+    const current = indexed[collection];
+    const previous = base[collection];
+    const updated = [];
+    const removed = [];
+
+    current.forEach((entity, id) => {
+      const before = previous.get(id);
+      if (!before || entityChanged(entity, before)) updated.push(entity);
+    });
+    previous.forEach((entity, id) => {
+      if (!current.has(id)) removed.push(id);
+    });
+
+    delta[collection] = { updated, removed };
+  });
+  return delta;
+}
+
+/**
+ * Record that the client has applied snapshot `tick`. Older snapshots
+ * can no longer be used as a base and are dropped.
+ */
+function acknowledgeSnapshot(tracker, socketId, tick) {
+  const client = tracker.clients.get(socketId);
+  if (!client || !client.sent.has(tick)) return;
+  if (client.ackedTick !== null && tick <= client.ackedTick) return;
+
+  client.ackedTick = tick;
+  for (const sentTick of client.sent.keys()) {
+    if (sentTick >= tick) break;
+    client.sent.delete(sentTick);
+  }
+}
+
+/**
+ * Forget a client so its next snapshot is a keyframe.
+ */
+function resetSnapshotClient(tracker, socketId) {
+  tracker.clients.delete(socketId);
+}
+
+/**
+ * Drop clients that are no longer receiving snapshots.
+ */
+function pruneSnapshotClients(tracker, activeSocketIds) {
+  tracker.clients.forEach((_, socketId) => {
+    if (!activeSocketIds.has(socketId)) tracker.clients.delete(socketId);
+  });
+}
+
+module.exports = {
+  KEYFRAME_INTERVAL,
+  createSnapshotTracker,
+  nextSnapshotTick,
+  encodeSnapshot,
+  acknowledgeSnapshot,
+  resetSnapshotClient,
+  pruneSnapshotClients,
+};
@@ -0,0 +1,84 @@
+/************************************
+ * utils/spectatorUtils.js
+ ************************************/
+
+/**
+ * How far behind the live game spectators are kept (ms), so a spectator
+ * can't relay what they see to a player in time to matter.
+ */
+const SPECTATOR_DELAY_MS = Number(process.env.SPECTATOR_DELAY_MS) || 0;
+
+/**
+ * Spectators of `${gameId}-${roomId}` listen here, never on the players'
+ * channel, so they only get what the game sends through emitToSpectators.
+ */
+function spectatorChannel(gameId, roomId) {
+  return `${gameId}-${roomId}-spectators`;
+}
+
+function hasSpectators(room) {
+  return !!room.spectators && room.spectators.length > 0;
+}
+
+/**
+ * Register the socket as a spectator of the room.
+ */
+function addSpectator(gameId, room, socket) {
+  if (!room.spectators) room.spectators = [];
+  if (!room.spectators.some((s) => s.socketId === socket.id)) {
+    room.spectators.push({
+      socketId: socket.id,
+      userId: socket.userId,
+      userName: socket.userName,
+    });
+  }
+  socket.join(spectatorChannel(gameId, room.id));
+}
+
+/**
+ * Returns true if the socket was spectating the room.
+ */
+function removeSpectator(gameId, room, socket) {
+  if (!hasSpectators(room)) return false;
+  const before = room.spectators.length;
+  room.spectators = room.spectators.filter((s) => s.socketId !== socket.id);
+  socket.leave(spectatorChannel(gameId, room.id));
+  return room.spectators.length < before;
+}
+
+/**
+ * Send an event to the room's spectators, SPECTATOR_DELAY_MS late.
+ * `payload` must be spectator-safe (no hidden information).
+ */
+function emitToSpectators(io, gameId, room, event, payload) {
+  if (!hasSpectators(room)) return;
+
+  const channel = spectatorChannel(gameId, room.id);
+  const send = () => io.to(channel).emit(event, payload);
+  if (SPECTATOR_DELAY_MS > 0) {
+    setTimeout(send, SPECTATOR_DELAY_MS);
+  } else {
+    send();
+  }
+}
+
+/**
+ * Tell players and spectators how many people are watching.
+ */
+function broadcastSpectatorCount(io, gameId, room) {
+  const count = room.spectators ? room.spectators.length : 0;
+  io.to([`${gameId}-${room.id}`, spectatorChannel(gameId, room.id)]).emit(
+    "spectatorCount",
+    { roomId: room.id, count }
+  );
+}
+
+module.exports = {
+  SPECTATOR_DELAY_MS,
+  spectatorChannel,
+  hasSpectators,
+  addSpectator,
+  removeSpectator,
+  emitToSpectators,
+  broadcastSpectatorCount,
+};
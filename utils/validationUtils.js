@@ -0,0 +1,121 @@
+/************************************
+ * utils/validationUtils.js
+ ************************************/
+
+/**
+ * Schemas describe socket event payloads declaratively:
+ *
+ *   { type: "string", minLength, maxLength, enum, pattern }
+ *   { type: "number" | "integer", min, max }
+ *   { type: "boolean" }
+ *   { type: "object", fields: { name: spec } }   // no `fields`: any object
+ *   { type: "any" }
+ *   { oneOf: [spec, ...] }
+ *
+ * Any spec can be `optional: true`; null and undefined then mean "absent".
+ */
+
+/** Specs shared by most events */
+const GAME_ID = { type: "integer", min: 1 };
+const ROOM_ID = {
+  type: "string",
+  minLength: 1,
+  maxLength: 16,
+  pattern: /^[0-9a-z]+$/, // generateRoomId's alphabet
+};
+const ROOM_REF_FIELDS = { gameId: GAME_ID, roomId: ROOM_ID };
+
+/**
+ * Check `value` against `spec`. Returns { value } with a clean copy
+ * (objects only keep declared fields), or { error } naming the
+ * offending field.
+ */
+function validatePayload(spec, value, path = "payload") {
+  if (value === undefined || value === null) {
+    if (spec.optional || spec.type === "any") return { value: undefined };
+    return { error: `${path} is required.` };
+  }
+
+  if (spec.oneOf) {
+    for (const option of spec.oneOf) {
+      const result = validatePayload(option, value, path);
+      if (!result.error) return result;
+    }
+    return { error: `${path} has the wrong shape.` };
+  }
+
+  switch (spec.type) {
+    case "any":
+      return { value };
+    case "string":
+      return checkString(spec, value, path);
+    case "number":
+    case "integer":
+      return checkNumber(spec, value, path);
+    case "boolean":
+      return typeof value === "boolean"
+        ? { value }
+        : { error: `${path} must be a boolean.` };
+    case "object":
+      return checkObject(spec, value, path);
+    default:
+      throw new Error(`Unknown schema type "${spec.type}" at ${path}`);
+  }
+}
+
+function checkString(spec, value, path) {
+  if (typeof value !== "string") {
+    return { error: `${path} must be a string.` };
+  }
+  if (spec.minLength !== undefined && value.length < spec.minLength) {
+    return { error: `${path} is too short.` };
+  }
+  if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+    return { error: `${path} is too long.` };
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    return { error: `${path} must be one of ${spec.enum.join(", ")}.` };
+  }
+  if (spec.pattern && !spec.pattern.test(value)) {
+    return { error: `${path} has an invalid format.` };
+  }
+  return { value };
+}
+
+function checkNumber(spec, value, path) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return { error: `${path} must be a number.` };
+  }
+  if (spec.type === "integer" && !Number.isInteger(value)) {
+    return { error: `${path} must be a whole number.` };
+  }
+  if (
+    (spec.min !== undefined && value < spec.min) ||
+    (spec.max !== undefined && value > spec.max)
+  ) {
+    return { error: `${path} is out of range.` };
+  }
+  return { value };
+}
+
+function checkObject(spec, value, path) {
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return { error: `${path} must be an object.` };
+  }
+  if (!spec.fields) return { value: { ...value } };
+
+  const clean = {};
+  for (const [key, fieldSpec] of Object.entries(spec.fields)) {
+    const result = validatePayload(fieldSpec, value[key], `${path}.${key}`);
+    if (result.error) return result;
+    if (result.value !== undefined) clean[key] = result.value;
+  }
+  return { value: clean };
+}
+
+module.exports = {
+  GAME_ID,
+  ROOM_ID,
+  ROOM_REF_FIELDS,
+  validatePayload,
+};